@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+require('../lib/cli.js').run().then(code => process.exitCode = code);
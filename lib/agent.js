@@ -0,0 +1,197 @@
+const _ = require('lodash');
+const Z = require('zod');
+
+const { Budget } = require('./ledger.js');
+const { CancelledError, abortSignal } = require('./limiter.js');
+const { tracer } = require('./trace.js');
+
+class StepLimitError extends Error {
+  constructor(maxSteps, result) {
+    super(`Agent stopped after ${maxSteps} steps without a final answer`);
+    this.name = 'StepLimitError';
+    this.retryable = false;
+    this.maxSteps = maxSteps;
+    this.result = result;
+  }
+}
+
+const toolName = /^[A-Za-z0-9_-]+$/;
+
+//tools are {name, description, schema, handler}; handlers get the validated arguments and resolve to
+//anything JSON can hold
+const validateTool = (tool) => {
+  if (!toolName.test(tool?.name || '')) throw new Error(`Invalid tool name: ${tool?.name}`);
+  if (tool.name === 'final') throw new Error('final is reserved for the final answer');
+  if (typeof tool.handler !== 'function') throw new Error(`Tool ${tool.name} needs a handler`);
+  if (tool.schema && !(tool.schema instanceof Z.ZodType)) throw new Error(`The schema of tool ${tool.name} must be a Zod schema`);
+  return tool;
+};
+
+const resultText = (value) => typeof value === 'string' ? value : JSON.stringify(value ?? null);
+
+const agentInstructions = `Work on the task step by step. In each step either call one of the tools, with "tool" set to its name and "arguments" matching its schema, or give the final answer with "tool" set to "final". The result of each tool call is sent back to you.`;
+
+//each step is one Prompt call whose schema is a union of the tool calls and the final answer, so tool
+//calls with invalid arguments go back to the model through the prompt's corrections. Tool results are
+//fed back as the next turn until the final answer or maxSteps
+class Agent {
+  constructor({
+    system,
+    tools=[],
+    schema=Z.string(),
+    model='gpt-4-1106-preview',
+    modelSettings={},
+    maxSteps=10,
+    responseTokenLength=500,
+    structuredOutput,
+    corrections=2, //invalid tool calls go back to the model
+    budget,
+    tag,
+    cache,
+  }={}) {
+    this.system = system;
+    this.tools = _.keyBy(tools.map(validateTool), 'name');
+    if (_.size(this.tools) !== tools.length) throw new Error('Tool names must be unique');
+
+    this.schema = schema;
+    this.model = model;
+    this.modelSettings = modelSettings;
+    this.maxSteps = maxSteps;
+    this.responseTokenLength = responseTokenLength; //expected length of each step, for budget checks
+
+    this.budget = budget; //cap for each run; a Budget instance is shared across runs
+    this.tag = tag;
+
+    const { Prompt } = require('./llm.js');
+    this.Prompt = Prompt;
+
+    this.promptOptions = {
+      structuredOutput,
+      corrections,
+      cache,
+    };
+
+    this.stepSchema = Z.discriminatedUnion('tool', [
+      ..._.map(this.tools, tool => Z.object({
+        tool: Z.literal(tool.name),
+        arguments: tool.schema || Z.object({}),
+      }).describe(tool.description || tool.name)),
+      Z.object({
+        tool: Z.literal('final'),
+        response: schema,
+      }).describe('the final answer'),
+    ]);
+  }
+
+  //steps are raw so tool results aren't read as templates
+  messages(task, steps) {
+    return _.compact([
+      this.system && { role: 'system', content: this.system, raw: true },
+      { role: 'system', content: agentInstructions, raw: true },
+      { role: 'system', content: '{formatInstructions}' },
+      { role: 'user', content: task, raw: true },
+      ..._.flatMap(steps, step => [
+        { role: 'assistant', content: JSON.stringify({ tool: step.tool, arguments: step.arguments }), raw: true },
+        { role: 'user', content: step.error ? `${step.tool} failed: ${step.error}` : `Result of ${step.tool}:\n${resultText(step.result)}`, raw: true },
+      ]),
+    ]);
+  }
+
+  //one prompt per run, whose messages grow with each step
+  prompt(task) {
+    return new this.Prompt(_.extend({
+      messages: this.messages(task, []),
+      model: this.model,
+      modelSettings: this.modelSettings,
+      schema: this.stepSchema,
+    }, _.omitBy(this.promptOptions, _.isUndefined)));
+  }
+
+  //resolves to {response, steps, tokensSent, tokensReceived, cost}; steps is the transcript, one entry
+  //per model call with its tool call and result or error, and its usage. Errors carry the same in
+  //`result`. settings.signal, timeout (ms) and deadline stop the run, and handlers get the signal to
+  //stop their own work
+  async run(task, settings={}) {
+    const signal = abortSignal(settings);
+    if (signal) settings = _.extend(_.omit(settings, ['timeout', 'deadline']), { signal });
+
+    return tracer.span('agent.run', {
+      'gen_ai.request.model': this.model
+    , 'llmade.tag': settings.tag || this.tag
+    }, async (span) => {
+      const result = await this.runSteps(task, settings);
+
+      span.setAttributes({
+        'gen_ai.usage.input_tokens': result.tokensSent
+      , 'gen_ai.usage.output_tokens': result.tokensReceived
+      , 'llmade.cost': result.cost
+      , 'llmade.steps': result.steps.length
+      });
+
+      return result;
+    });
+  }
+
+  async runSteps(task, {
+    maxSteps=this.maxSteps
+  , budget=this.budget
+  , tag=this.tag
+  , retries
+  , retryDelay
+  , signal
+  }={}) {
+    budget = Budget.from(budget);
+
+    const steps = []
+        , result = { steps, tokensSent: 0, tokensReceived: 0, cost: 0 }
+        , prompt = this.prompt(task);
+
+    while (steps.length < maxSteps) {
+      let data;
+      try {
+        if (signal?.aborted) throw new CancelledError(signal.reason);
+        if (steps.length) prompt.setMessages(this.messages(task, steps));
+
+        data = await prompt.call(_.omitBy({ budget, tag, signal, responseTokenLength: this.responseTokenLength }, _.isUndefined), retries, retryDelay);
+      } catch (e) {
+        //failed calls report what their attempts spent
+        result.tokensSent += e.result?.tokensSent || 0;
+        result.tokensReceived += e.result?.tokensReceived || 0;
+        result.cost += e.result?.cost || 0;
+
+        e.result = result;
+        throw e;
+      }
+
+      result.tokensSent += data.tokensSent;
+      result.tokensReceived += data.tokensReceived;
+      result.cost += data.cost;
+
+      const { tool, arguments: args, response } = data.response
+          , step = _.extend({ step: steps.length + 1, tool }, _.pick(data, ['tokensSent', 'tokensReceived', 'cost', 'attempts']));
+
+      if (tool === 'final') {
+        steps.push(_.extend(step, { response }));
+        tracer.event('agent.step', { 'llmade.step': step.step, 'llmade.tool': tool });
+        return _.extend(result, { response });
+      }
+
+      step.arguments = args;
+      try {
+        step.result = await this.tools[tool].handler(args, { task, steps, signal });
+      } catch (e) {
+        step.error = e.message;
+      }
+
+      steps.push(step);
+      tracer.event('agent.step', { 'llmade.step': step.step, 'llmade.tool': tool, 'llmade.error': step.error });
+    }
+
+    throw new StepLimitError(maxSteps, result);
+  }
+}
+
+module.exports = {
+  Agent,
+  StepLimitError,
+};
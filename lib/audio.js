@@ -0,0 +1,304 @@
+const FS = require('fs');
+const Path = require('path');
+
+const _ = require('lodash');
+const { OpenAI, toFile } = require('openai');
+
+const { CancelledError, abortSignal, rateLimiterFor, withRetries } = require('./limiter.js');
+const { Budget, ledger } = require('./ledger.js');
+const { registry } = require('./registry.js');
+
+//finds the fmt and data chunks of a RIFF/WAVE file
+function parseWav(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') return;
+
+  let offset = 12
+    , fmt
+    , data;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4)
+        , size = buffer.readUInt32LE(offset + 4);
+
+    if (id === 'fmt ') fmt = buffer.subarray(offset + 8, offset + 8 + size);
+    if (id === 'data') {
+      data = buffer.subarray(offset + 8, Math.min(offset + 8 + size, buffer.length));
+      break;
+    }
+
+    offset += 8 + size + (size % 2);
+  }
+
+  if (!fmt || !data) return;
+
+  return {
+    fmt
+  , data
+  , byteRate: fmt.readUInt32LE(8)
+  , blockAlign: fmt.readUInt16LE(12)
+  };
+}
+
+function wavFile(fmt, data) {
+  const header = Buffer.alloc(20)
+      , dataHeader = Buffer.alloc(8);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(4 + 8 + fmt.length + 8 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(fmt.length, 16);
+
+  dataHeader.write('data', 0, 'ascii');
+  dataHeader.writeUInt32LE(data.length, 4);
+
+  return Buffer.concat([header, fmt, dataHeader, data]);
+}
+
+//last MPEG frame sync at or before `end`, so chunks start on a frame
+function mp3Boundary(buffer, start, end) {
+  for (let i = end; i > start; i--) {
+    if (buffer[i] === 0xFF && (buffer[i + 1] & 0xE0) === 0xE0) return i;
+  }
+  return end;
+}
+
+//kbps by bitrate index for MPEG-1 and MPEG-2/2.5, layers I, II and III
+const mp3Bitrates = {
+  1: [
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448]
+  , [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384]
+  , [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  ]
+, 2: [
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256]
+  , [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  , [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  ]
+};
+
+//from the bitrate of the first frame after any ID3 tag: exact for constant bitrates, an estimate for VBR
+function mp3Duration(buffer) {
+  let offset = buffer.toString('ascii', 0, 3) === 'ID3'
+    ? 10 + ((buffer[6] & 0x7F) << 21 | (buffer[7] & 0x7F) << 14 | (buffer[8] & 0x7F) << 7 | (buffer[9] & 0x7F))
+    : 0;
+
+  for (; offset + 2 < buffer.length; offset++) {
+    if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) continue;
+
+    const version = (buffer[offset + 1] >> 3) & 0x03 //3 is MPEG-1, 1 is reserved
+        , layer = (buffer[offset + 1] >> 1) & 0x03 //3 is layer I, 0 is reserved
+        , kbps = version !== 1 && layer && mp3Bitrates[version === 3 ? 1 : 2][3 - layer][buffer[offset + 2] >> 4];
+
+    if (kbps) return (buffer.length - offset) * 8 / (kbps * 1000);
+  }
+}
+
+//seconds of audio in a WAV or MP3 file, for budget estimates before the API reports the duration
+function audioDuration(buffer, filename) {
+  const wav = parseWav(buffer);
+  if (wav) return wav.data.length / wav.byteRate;
+
+  if (['.mp3', '.mpga', '.mpeg'].includes(Path.extname(filename).toLowerCase())) return mp3Duration(buffer);
+}
+
+//WAV is split on sample boundaries with a header per chunk, MP3 on frame boundaries;
+//other containers can't be cut without re-encoding
+function splitAudio(buffer, filename, maxFileSize) {
+  if (buffer.length <= maxFileSize) return [{ buffer, filename }];
+
+  const ext = Path.extname(filename).toLowerCase()
+      , base = Path.basename(filename, ext)
+      , wav = parseWav(buffer);
+
+  if (wav) {
+    const size = Math.floor((maxFileSize - 28 - wav.fmt.length) / wav.blockAlign) * wav.blockAlign;
+
+    return _.range(0, wav.data.length, size).map((start, index) => ({
+      buffer: wavFile(wav.fmt, wav.data.subarray(start, start + size))
+    , filename: `${base}-${index}${ext}`
+    , start: start / wav.byteRate
+    , duration: Math.min(size, wav.data.length - start) / wav.byteRate
+    }));
+  }
+
+  if (['.mp3', '.mpga', '.mpeg'].includes(ext)) {
+    let chunks = []
+      , start = 0;
+
+    while (start < buffer.length) {
+      const end = start + maxFileSize >= buffer.length ? buffer.length : mp3Boundary(buffer, start, start + maxFileSize);
+      chunks.push({ buffer: buffer.subarray(start, end), filename: `${base}-${chunks.length}${ext}` });
+      start = end;
+    }
+
+    return chunks;
+  }
+
+  throw new Error(`${filename} exceeds the ${maxFileSize} byte upload limit, convert it to WAV or MP3 so it can be split`);
+}
+
+const timestamp = (seconds) => new Date(Math.round(seconds * 1000)).toISOString().slice(11, 19);
+
+class AudioTranscriber {
+  constructor({
+    model='whisper'
+  , modelSettings={}
+  , language
+  , prompt
+  , temperature
+  , budget
+  , tag
+  , ledger: usageLedger=ledger
+  , client
+  }={}) {
+    const settings = _.extend({ modelName: model }, registry.get(model), modelSettings);
+
+    this.modelName = settings.modelName;
+    this.apiModel = settings.apiModel || 'whisper-1';
+    this.minutePrice = settings.minutePrice || 0;
+    this.maxFileSize = settings.maxFileSize || 25 * 1024 * 1024;
+    this.language = language;
+    this.prompt = prompt;
+    this.temperature = temperature;
+    this.budget = Budget.from(budget);
+    this.tag = tag;
+    this.ledger = usageLedger;
+
+    this.rateLimiter = rateLimiterFor(this.modelName, settings);
+
+    this.client = client || new OpenAI({
+      apiKey: settings.apiKey || process.env.OPENAI_API_KEY || 'none'
+    , baseURL: process.env.LLMADE_BASE_URL || settings.baseURL
+    , maxRetries: 0
+    });
+  }
+
+  calculateCost(seconds) {
+    return seconds / 60 * this.minutePrice;
+  }
+
+  //records one transcribed chunk in the ledger
+  recordChunk(data, chunk, tag, budgets) {
+    const duration = data.duration ?? chunk.duration ?? 0
+        , cost = this.calculateCost(duration);
+
+    this.ledger.record({
+      model: this.modelName
+    , seconds: duration
+    , cost
+    , tag
+    }, budgets);
+
+    return { duration, cost };
+  }
+
+  transcribeChunk(chunk, retries, retryDelay, signal) {
+    return withRetries(this.rateLimiter, async () => {
+      const { data, response } = await this.client.audio.transcriptions.create(_.omitBy({
+        file: await toFile(chunk.buffer, chunk.filename)
+      , model: this.apiModel
+      , response_format: 'verbose_json'
+      , language: this.language
+      , prompt: this.prompt
+      , temperature: this.temperature
+      }, _.isUndefined), { signal }).withResponse();
+
+      this.rateLimiter.updateFromHeaders(response.headers).catch(() => {});
+
+      return data;
+    }, { retries, retryDelay, signal });
+  }
+
+  //accepts a file path or a buffer with its filename; chunks are transcribed in parallel
+  //and their segments shifted to timestamps in the whole recording. signal, timeout (ms) and
+  //deadline stop it with a CancelledError
+  async transcribe(audio, {
+    filename
+  , retries
+  , retryDelay
+  , budget
+  , tag=this.tag
+  , signal
+  , timeout
+  , deadline
+  }={}) {
+    signal = abortSignal({ signal, timeout, deadline });
+
+    if (typeof audio === 'string') {
+      filename = filename || Path.basename(audio);
+      audio = await FS.promises.readFile(audio);
+    }
+
+    filename = filename || 'audio.wav';
+
+    const chunks = splitAudio(audio, filename, this.maxFileSize)
+        , budgets = [this.budget, budget]
+        , estimatedCost = this.calculateCost(audioDuration(audio, filename) ?? _.sumBy(chunks, chunk => chunk.duration || 0));
+
+    this.ledger.check(budgets, estimatedCost);
+
+    const settled = await Promise.allSettled(chunks.map(chunk => this.transcribeChunk(chunk, retries, retryDelay, signal)))
+        , failure = settled.find(result => result.status === 'rejected');
+
+    //the chunks that finished were paid for, so they are recorded and the error carries their usage
+    if (failure) {
+      const error = signal?.aborted ? new CancelledError(signal.reason) : failure.reason
+          , usage = settled
+              .map((result, index) => result.status === 'fulfilled' && this.recordChunk(result.value, chunks[index], tag, budgets))
+              .filter(Boolean);
+
+      error.result = {
+        duration: _.sumBy(usage, 'duration')
+      , cost: _.sumBy(usage, 'cost')
+      , transcribed: usage.length
+      , failed: settled.length - usage.length
+      };
+      throw error;
+    }
+
+    const responses = _.map(settled, 'value');
+
+    let offset = 0
+      , segments = []
+      , cost = 0;
+
+    const transcribed = responses.map((data, index) => {
+      const start = chunks[index].start ?? offset
+          , { duration, cost: chunkCost } = this.recordChunk(data, chunks[index], tag, budgets);
+
+      segments = segments.concat((data.segments || [{ start: 0, end: duration, text: data.text }]).map(segment => ({
+        start: start + segment.start
+      , end: start + segment.end
+      , text: segment.text.trim()
+      , chunk: index
+      })));
+
+      offset = start + duration;
+      cost += chunkCost;
+
+      return {
+        index
+      , start
+      , duration
+      , text: data.text.trim()
+      };
+    });
+
+    return {
+      text: _.map(transcribed, 'text').join(' ')
+    , timestampedText: segments.map(segment => `[${timestamp(segment.start)}] ${segment.text}`).join('\n')
+    , segments
+    , chunks: transcribed
+    , duration: offset
+    , cost
+    };
+  }
+}
+
+module.exports = {
+  AudioTranscriber,
+  audioDuration,
+  parseWav,
+  splitAudio,
+};
@@ -0,0 +1,131 @@
+const FS = require('fs');
+const Path = require('path');
+const Crypto = require('crypto');
+
+const _ = require('lodash');
+
+//credentials and headers, which must never be written to cassettes, caches or saved conversations
+const secretSettings = [
+  'apiKey'
+, 'openAIApiKey'
+, 'anthropicApiKey'
+, 'configuration'
+, 'headers'
+, 'defaultHeaders'
+];
+
+//settings that don't change what the model returns, so they don't belong in cache or cassette keys
+const unkeyedSettings = [
+  ...secretSettings
+, 'baseURL'
+, 'tokenTxPrice'
+, 'tokensRxPrice'
+, 'maxRequestsPerMinute'
+, 'maxTokensPerMinute'
+, 'bufferPercentage'
+, 'replay'
+, 'maxRetries'
+, 'encoding'
+, 'maxResponseTokens'
+];
+
+const keySettings = (settings={}) => _.omit(settings, unkeyedSettings);
+
+const hashKey = (request) => Crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+
+const expiresAt = (ttl) => ttl ? Date.now() + ttl : undefined;
+
+class MemoryCache {
+  constructor({
+    maxEntries=500
+  , ttl
+  }={}) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    if (entry.expiresAt && entry.expiresAt < Date.now()) return;
+
+    this.entries.set(key, entry); //most recently used goes last
+    return entry.value;
+  }
+
+  async set(key, value, ttl=this.ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: expiresAt(ttl) });
+
+    while (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+class DiskCache {
+  constructor({
+    directory
+  , ttl
+  }={}) {
+    if (!directory) throw new Error('DiskCache requires a directory');
+
+    this.directory = Path.resolve(directory);
+    this.ttl = ttl;
+  }
+
+  path(key) {
+    return Path.join(this.directory, `${key}.json`);
+  }
+
+  async get(key) {
+    let entry;
+    try {
+      entry = JSON.parse((await FS.promises.readFile(this.path(key))).toString());
+    } catch {
+      return;
+    }
+
+    if (entry.expiresAt && entry.expiresAt < Date.now()) return this.delete(key);
+
+    return entry.value;
+  }
+
+  async set(key, value, ttl=this.ttl) {
+    await FS.promises.mkdir(this.directory, { recursive: true });
+    await FS.promises.writeFile(this.path(key), JSON.stringify({ value, expiresAt: expiresAt(ttl) }));
+  }
+
+  async delete(key) {
+    await FS.promises.rm(this.path(key), { force: true });
+  }
+
+  async clear() {
+    await FS.promises.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+//`cache: true` shares one in-memory cache across every prompt in the process
+const defaultCache = new MemoryCache();
+
+const resolveCache = (cache) => cache === true ? defaultCache : cache || undefined;
+
+module.exports = {
+  DiskCache,
+  MemoryCache,
+  defaultCache,
+  hashKey,
+  keySettings,
+  resolveCache,
+  unkeyedSettings,
+  secretSettings,
+};
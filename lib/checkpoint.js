@@ -0,0 +1,73 @@
+const FS = require('fs');
+const Path = require('path');
+
+//writes to a temporary file and renames it over path, so a crash mid-write keeps the previous file
+async function writeAtomic(path, data) {
+  const tmp = `${path}.${process.pid}.tmp`;
+
+  await FS.promises.mkdir(Path.dirname(path), { recursive: true });
+  await FS.promises.writeFile(tmp, data);
+  await FS.promises.rename(tmp, path);
+}
+
+class CheckpointMismatchError extends Error {
+  constructor(expected, found) {
+    super(`Checkpoint was saved for a different text or settings (${found}), refusing to resume a run of ${expected}`);
+    this.name = 'CheckpointMismatchError';
+    this.retryable = false;
+    this.expected = expected;
+    this.found = found;
+  }
+}
+
+class MemoryCheckpoint {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async load() {
+    return this.state && JSON.parse(JSON.stringify(this.state));
+  }
+
+  async save(state) {
+    this.state = JSON.parse(JSON.stringify(state));
+  }
+
+  async clear() {
+    this.state = undefined;
+  }
+}
+
+class CheckpointFile {
+  constructor(path) {
+    this.path = Path.resolve(path);
+  }
+
+  async load() {
+    try {
+      return JSON.parse((await FS.promises.readFile(this.path)).toString());
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+  }
+
+  async save(state) {
+    await writeAtomic(this.path, JSON.stringify(state));
+  }
+
+  async clear() {
+    await FS.promises.rm(this.path, { force: true });
+  }
+}
+
+//checkpoints are given as a file path or a store with async load, save and clear
+const resolveCheckpoint = (checkpoint) => typeof checkpoint === 'string' ? new CheckpointFile(checkpoint) : checkpoint || undefined;
+
+module.exports = {
+  CheckpointFile,
+  CheckpointMismatchError,
+  MemoryCheckpoint,
+  resolveCheckpoint,
+  writeAtomic,
+};
@@ -0,0 +1,203 @@
+const FS = require('fs');
+const Path = require('path');
+const { parseArgs } = require('util');
+
+const _ = require('lodash');
+
+const usage = `Usage: llmade <command> [options]
+
+Commands:
+  prompt <file>       run a markdown/YAML prompt file
+  document <file|->   run a DocumentPrompt over a file or stdin
+  split <file|->      split text into excerpts and print their statistics
+
+Prompt options:
+  --var name=value    a template variable, parsed as JSON when it can be (repeatable)
+  --data <file|->     a JSON object of variables
+  --input <file|->    JSONL with one object of variables per line; prints one JSON line per input
+  --concurrency <n>   calls in flight with --input (default 5)
+
+Document options:
+  --instructions <text>   what to do with the document (required)
+  --description <text>    what the document is (default "a document")
+  --strategy <name>       refine, map_reduce or tree (default refine)
+  --response-tokens <n>   response length in tokens (default 500)
+  --checkpoint <file>     save progress and resume from it
+
+Split options:
+  --chunk-size <n>    excerpt length in tokens (default 1000)
+  --overlap <n>       tokens shared by neighbouring excerpts (default 0)
+  --excerpts          print every excerpt as a JSON line instead of the statistics
+
+Common options:
+  --model <name>      model name from the registry (LLMADE_MODELS loads more)
+  --schemas <file>    a module exporting the Zod schemas prompts refer to
+  --schema <name>     the schema to use from --schemas (default: a string response)
+  --language <name>   structure-aware splitting, e.g. markdown or html
+  --dryrun            estimate tokens and cost without calling the model
+  --pretty            indent JSON output
+  --help              show this message`;
+
+const options = {
+  var: { type: 'string', multiple: true }
+, data: { type: 'string' }
+, input: { type: 'string' }
+, concurrency: { type: 'string' }
+, instructions: { type: 'string' }
+, description: { type: 'string' }
+, strategy: { type: 'string' }
+, 'response-tokens': { type: 'string' }
+, checkpoint: { type: 'string' }
+, 'chunk-size': { type: 'string' }
+, overlap: { type: 'string' }
+, excerpts: { type: 'boolean' }
+, model: { type: 'string' }
+, schemas: { type: 'string' }
+, schema: { type: 'string' }
+, language: { type: 'string' }
+, dryrun: { type: 'boolean' }
+, pretty: { type: 'boolean' }
+, help: { type: 'boolean', short: 'h' }
+};
+
+const readStream = async (stream) => {
+  let chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString();
+};
+
+const number = (value, name) => {
+  if (value === undefined) return;
+  if (!/^\d+$/.test(value)) throw new Error(`--${name} must be a whole number`);
+  return Number(value);
+};
+
+const parseValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+//a command line run with its own streams, so it can be tested without spawning a process;
+//resolves to the exit code
+async function run(argv=process.argv.slice(2), {
+  stdin=process.stdin
+, stdout=process.stdout
+, stderr=process.stderr
+}={}) {
+  let args;
+  try {
+    args = parseArgs({ args: argv, options, allowPositionals: true });
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${usage}\n`);
+    return 2;
+  }
+
+  const { values, positionals: [command, file] } = args;
+
+  if (values.help || !command) {
+    (values.help ? stdout : stderr).write(`${usage}\n`);
+    return values.help ? 0 : 2;
+  }
+
+  const print = (value) => stdout.write(`${JSON.stringify(value, null, values.pretty ? 2 : 0)}\n`)
+      , readFile = (path) => path === '-' ? readStream(stdin) : FS.promises.readFile(path).then(buffer => buffer.toString());
+
+  try {
+    const llm = require('./llm.js'); //after parsing, so --help works without an API key
+
+    const schemas = values.schemas ? require(Path.resolve(values.schemas)) : {};
+    if (values.schema && !schemas[values.schema]) throw new Error(`Unknown schema ${values.schema}${values.schemas ? ` in ${values.schemas}` : ', pass --schemas'}`);
+
+    const schema = values.schema ? schemas[values.schema] : llm.Zod.string()
+        , model = _.omitBy({ model: values.model }, _.isUndefined);
+
+    if (command === 'prompt') {
+      if (!file) throw new Error('prompt needs a prompt file');
+
+      const prompt = llm.loadPrompt(file, _.extend({ schemas, schema }, model))
+          , data = values.data ? JSON.parse(await readFile(values.data)) : {};
+
+      (values.var || []).forEach(pair => {
+        const [name, ...value] = pair.split('=');
+        if (!value.length) throw new Error(`--var ${pair} should look like name=value`);
+        data[name] = parseValue(value.join('='));
+      });
+
+      if (!values.input) {
+        print(await prompt.call(_.extend(data, { dryrun: values.dryrun })));
+        return 0;
+      }
+
+      const inputs = (await readFile(values.input)).split('\n').filter(line => line.trim()).map(line => _.extend({}, data, JSON.parse(line), { dryrun: values.dryrun }));
+
+      const { results } = await prompt.callMany(inputs, { concurrency: number(values.concurrency, 'concurrency') });
+      results.forEach(result => print(_.extend(_.omit(result, ['error', 'input']), result.error && { error: result.error.message })));
+
+      return results.some(result => result.error) ? 1 : 0;
+    }
+
+    if (command === 'document') {
+      if (!file) throw new Error('document needs a file, or - for stdin');
+      if (!values.instructions) throw new Error('document needs --instructions');
+
+      const document = new llm.DocumentPrompt(_.extend({
+        instructions: values.instructions
+      , documentDescription: values.description || 'a document'
+      , responseTokenLength: number(values['response-tokens'], 'response-tokens') || 500
+      , strategy: values.strategy
+      , language: values.language
+      , schema
+      }, model));
+
+      print(await document.call(await readFile(file), _.omitBy({
+        dryrun: values.dryrun
+      , checkpoint: values.checkpoint
+      }, _.isUndefined)));
+
+      return 0;
+    }
+
+    if (command === 'split') {
+      if (!file) throw new Error('split needs a file, or - for stdin');
+
+      const splitter = new llm.TextSplitter({
+        chunkSize: number(values['chunk-size'], 'chunk-size') || 1000
+      , chunkOverlap: number(values.overlap, 'overlap') || 0
+      , language: values.language
+      , model: values.model || 'gpt-4'
+      });
+
+      const { excerpts, totalTextTokenLength } = await splitter.splitText(await readFile(file));
+
+      if (values.excerpts) {
+        excerpts.forEach(excerpt => print(excerpt));
+        return 0;
+      }
+
+      const lengths = _.map(excerpts, 'excerptTokenLength');
+
+      print({
+        excerpts: excerpts.length
+      , totalTextTokenLength
+      , minExcerptTokenLength: _.min(lengths) || 0
+      , meanExcerptTokenLength: Math.round(_.mean(lengths)) || 0
+      , maxExcerptTokenLength: _.max(lengths) || 0
+      });
+
+      return 0;
+    }
+
+    stderr.write(`Unknown command: ${command}\n\n${usage}\n`);
+    return 2;
+  } catch (e) {
+    stderr.write(`${e.name === 'Error' ? '' : `${e.name}: `}${e.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = {
+  run,
+};
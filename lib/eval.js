@@ -0,0 +1,257 @@
+const FS = require('fs');
+const Path = require('path');
+
+const _ = require('lodash');
+
+const { Budget } = require('./ledger.js');
+const { mapConcurrent } = require('./limiter.js');
+
+const at = (value, path) => path ? _.get(value, path) : value;
+
+const normalize = (value, { trim=true, ignoreCase=false }={}) => {
+  if (typeof value !== 'string') return value;
+  if (trim) value = value.trim();
+  return ignoreCase ? value.toLowerCase() : value;
+};
+
+//scorers return a score from 0 to 1 (or a boolean); a case passes when every score reaches its scorer's threshold.
+//`path` scores one field of the response, e.g. exactMatch({ path: 'sentiment' })
+const scorers = {
+  exactMatch: ({ path, trim, ignoreCase }={}) => ({
+    threshold: 1
+  , score: (actual, expected) => _.isEqualWith(at(actual, path), at(expected, path), (a, b) => {
+      if (typeof a === 'string' && typeof b === 'string') return normalize(a, { trim, ignoreCase }) === normalize(b, { trim, ignoreCase });
+    })
+  })
+
+, schemaValid: (schema, { path }={}) => ({
+    threshold: 1
+  , score: (actual) => schema.safeParse(at(actual, path)).success
+  })
+
+  //Jaccard overlap of two lists; strings are compared trimmed and lowercased, objects by `key` or as JSON
+, setOverlap: ({ path, key, threshold=1 }={}) => ({
+    threshold
+  , score: (actual, expected) => {
+      const items = (value) => _.uniq(_.castArray(at(value, path) ?? []).map(item => {
+        if (key) item = _.get(item, key);
+        return typeof item === 'string' ? normalize(item, { ignoreCase: true }) : JSON.stringify(item);
+      }));
+
+      const a = items(actual)
+          , b = items(expected)
+          , union = _.union(a, b).length;
+
+      return union ? _.intersection(a, b).length / union : 1;
+    }
+  })
+
+, numericTolerance: ({ path, tolerance=0, relative=false }={}) => ({
+    threshold: 1
+  , score: (actual, expected) => {
+      const a = Number(at(actual, path))
+          , b = Number(at(expected, path));
+
+      if (Number.isNaN(a) || Number.isNaN(b)) return false;
+      return Math.abs(a - b) <= (relative ? tolerance * Math.abs(b) : tolerance);
+    }
+  })
+};
+
+//custom scorers are functions (actual, expected, testCase) => score, or {score, threshold}
+const resolveScorer = (scorer) => typeof scorer === 'function' ? { threshold: 1, score: scorer } : scorer;
+
+//leaves of expected and actual that differ, as lodash paths
+function diffValues(expected, actual, path='') {
+  if (_.isEqual(expected, actual)) return [];
+
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    return _.flatMap(_.range(Math.max(expected.length, actual.length)), i => diffValues(expected[i], actual[i], `${path}[${i}]`));
+  }
+
+  if (_.isPlainObject(expected) && _.isPlainObject(actual)) {
+    return _.flatMap(_.union(Object.keys(expected), Object.keys(actual)), key => diffValues(expected[key], actual[key], path ? `${path}.${key}` : key));
+  }
+
+  return [{ path: path || '(root)', expected, actual }];
+}
+
+//JSONL with one {input, expected} case per line, or an array of cases
+function loadDataset(dataset) {
+  if (Array.isArray(dataset)) return dataset.map((testCase, index) => _.extend({ id: index + 1 }, testCase));
+
+  return FS.readFileSync(Path.resolve(dataset)).toString().split('\n').reduce((cases, line, index) => {
+    if (!line.trim()) return cases;
+
+    try {
+      cases.push(_.extend({ id: index + 1 }, JSON.parse(line)));
+    } catch (e) {
+      throw new Error(`Invalid JSON on line ${index + 1} of ${dataset}: ${e.message}`);
+    }
+
+    return cases;
+  }, []);
+}
+
+const percentile = (sorted, p) => sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)] : 0;
+
+function summarize(results, scorerNames) {
+  const latencies = _.sortBy(_.map(results, 'latency'))
+      , passed = results.filter(result => result.passed).length;
+
+  return {
+    cases: results.length
+  , passed
+  , failed: results.length - passed
+  , errors: results.filter(result => result.error).length
+  , passRate: results.length ? passed / results.length : 0
+  , scores: scorerNames.reduce((acc, name) => _.extend(acc, { [name]: _.meanBy(results, result => result.scores[name]) }), {})
+  , latency: {
+      mean: _.mean(latencies) || 0
+    , p50: percentile(latencies, 0.5)
+    , p95: percentile(latencies, 0.95)
+    , max: _.last(latencies) || 0
+    }
+  , tokensSent: _.sumBy(results, 'tokensSent')
+  , tokensReceived: _.sumBy(results, 'tokensReceived')
+  , cost: _.sumBy(results, 'cost')
+  };
+}
+
+//runs a Prompt or DocumentPrompt over a dataset; to compare models pass `prompt` as a function
+//model => prompt, which is called for every case so concurrent cases don't share a prompt
+class Evaluation {
+  constructor({
+    prompt
+  , models
+  , scorers: caseScorers={ exactMatch: scorers.exactMatch() }
+  , concurrency
+  , retries=2
+  , retryDelay
+  , settings={}
+  , budget
+  , tag='eval'
+  }) {
+    if (typeof prompt !== 'function' && models?.length > 1) throw new Error('Pass prompt as a function (model) => prompt to compare models');
+
+    this.prompt = prompt;
+    this.models = models || [prompt.modelName || prompt.model];
+    this.scorers = _.mapValues(caseScorers, resolveScorer);
+    this.concurrency = concurrency || (typeof prompt === 'function' ? 4 : 1);
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.settings = settings; //DocumentPrompt.call settings
+    this.budget = Budget.from(budget); //shared by the whole run
+    this.tag = tag;
+  }
+
+  async runCase(testCase, model) {
+    const { DocumentPrompt } = require('./llm.js');
+
+    const prompt = typeof this.prompt === 'function' ? this.prompt(model) : this.prompt
+        , start = Date.now();
+
+    let result = {};
+    try {
+      result = prompt instanceof DocumentPrompt
+        ? await prompt.call(testCase.input, _.extend({}, this.settings, { budget: this.budget, tag: this.tag }))
+        : await prompt.call(_.extend({}, testCase.input, { budget: this.budget, tag: this.tag }), this.retries, this.retryDelay);
+    } catch (error) {
+      result = _.extend(_.pick(error.result, ['tokensSent', 'tokensReceived', 'cost']), { error }); //the attempts were paid for
+    }
+
+    const latency = Date.now() - start
+        , actual = result.response;
+
+    const scoreErrors = {};
+
+    //a scorer that throws on unexpected output scores 0 for this case instead of ending the run
+    const scores = _.mapValues(this.scorers, (scorer, name) => {
+      if (result.error) return 0;
+      try {
+        return Number(scorer.score(actual, testCase.expected, testCase));
+      } catch (error) {
+        scoreErrors[name] = error.message;
+        return 0;
+      }
+    });
+
+    return {
+      id: testCase.id
+    , model
+    , input: testCase.input
+    , expected: testCase.expected
+    , actual
+    , error: result.error && result.error.message
+    , scores
+    , scoreErrors
+    , passed: !result.error && _.every(this.scorers, (scorer, name) => scores[name] >= scorer.threshold)
+    , diff: result.error ? [] : diffValues(testCase.expected, actual)
+    , latency
+    , tokensSent: result.tokensSent || 0
+    , tokensReceived: result.tokensReceived || 0
+    , cost: result.cost || 0
+    };
+  }
+
+  //progress is called after each case with {completed, total, result}
+  async run(dataset, { progress }={}) {
+    const cases = loadDataset(dataset)
+        , runs = _.flatMap(this.models, model => cases.map(testCase => ({ testCase, model })))
+        , scorerNames = Object.keys(this.scorers);
+
+    let completed = 0;
+
+    const results = await mapConcurrent(runs, this.concurrency, async ({ testCase, model }) => {
+      const result = await this.runCase(testCase, model);
+      if (progress) await progress({ completed: ++completed, total: runs.length, result });
+      return result;
+    });
+
+    return {
+      models: this.models.reduce((acc, model) => _.extend(acc, { [model]: summarize(results.filter(result => result.model === model), scorerNames) }), {})
+    , cases: results
+    };
+  }
+}
+
+const format = (value) => JSON.stringify(value) ?? 'undefined';
+
+//markdown summary of a report: one row per model, then the failed cases with their diffs
+function formatReport(report) {
+  const scorerNames = Object.keys(Object.values(report.models)[0]?.scores || {});
+
+  const rows = _.map(report.models, (summary, model) => [
+    model
+  , `${summary.passed}/${summary.cases}`
+  , `${(summary.passRate * 100).toFixed(1)}%`
+  , ...scorerNames.map(name => summary.scores[name].toFixed(2))
+  , `${Math.round(summary.latency.mean)} ms`
+  , `${Math.round(summary.latency.p95)} ms`
+  , `$${summary.cost.toFixed(4)}`
+  ]);
+
+  const lines = [
+    `| model | passed | pass rate | ${scorerNames.join(' | ')}${scorerNames.length ? ' | ' : ''}mean latency | p95 latency | cost |`
+  , `|${' --- |'.repeat(6 + scorerNames.length)}`
+  , ...rows.map(row => `| ${row.join(' | ')} |`)
+  ];
+
+  report.cases.filter(result => !result.passed).forEach(result => {
+    lines.push('', `#### ${result.model} case ${result.id}`);
+    if (result.error) return lines.push(`Error: ${result.error}`);
+    result.diff.forEach(({ path, expected, actual }) => lines.push(`- ${path}: expected ${format(expected)}, got ${format(actual)}`));
+    lines.push(`- scores: ${_.map(result.scores, (score, name) => `${name} ${score.toFixed(2)}`).join(', ')}`);
+    _.forEach(result.scoreErrors, (message, name) => lines.push(`- ${name} failed: ${message}`));
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  Evaluation,
+  diffValues,
+  formatReport,
+  loadDataset,
+  scorers,
+};
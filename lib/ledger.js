@@ -0,0 +1,150 @@
+const FS = require('fs');
+const Path = require('path');
+
+const _ = require('lodash');
+
+class BudgetExceededError extends Error {
+  constructor(budget, estimatedCost) {
+    super(`Budget${budget.name ? ` ${budget.name}` : ''} of ${budget.maxCost} would be exceeded: ${budget.spent} spent, ${estimatedCost} estimated for the next request`);
+    this.name = 'BudgetExceededError';
+    this.retryable = false;
+    this.budget = budget;
+    this.maxCost = budget.maxCost;
+    this.spent = budget.spent;
+    this.estimatedCost = estimatedCost;
+  }
+}
+
+class Budget {
+  constructor({
+    maxCost=Infinity
+  , name
+  }={}) {
+    this.maxCost = maxCost;
+    this.name = name;
+    this.spent = 0;
+  }
+
+  //budgets are given as a Budget, a max cost or Budget settings
+  static from(budget) {
+    if (budget === undefined || budget === null) return;
+    if (budget instanceof Budget) return budget;
+    if (typeof budget === 'number') return new Budget({ maxCost: budget });
+    return new Budget(budget);
+  }
+
+  remaining() {
+    return this.maxCost - this.spent;
+  }
+
+  check(estimatedCost=0) {
+    if (this.spent + estimatedCost > this.maxCost) throw new BudgetExceededError(this, estimatedCost);
+  }
+
+  add(cost=0) {
+    this.spent += cost;
+  }
+}
+
+class MemorySink {
+  constructor({ maxEntries=1000 }={}) {
+    this.maxEntries = maxEntries;
+    this.entries = [];
+  }
+
+  write(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) this.entries.shift();
+  }
+}
+
+class JSONLinesSink {
+  constructor(path) {
+    this.path = Path.resolve(path);
+    FS.mkdirSync(Path.dirname(this.path), { recursive: true });
+  }
+
+  write(entry) {
+    FS.appendFileSync(this.path, `${JSON.stringify(entry)}\n`);
+  }
+
+  read() {
+    if (!FS.existsSync(this.path)) return [];
+    return FS.readFileSync(this.path).toString().split('\n').filter(l => l).map(l => JSON.parse(l));
+  }
+}
+
+class UsageLedger {
+  constructor({
+    sinks=[new MemorySink()]
+  , budget
+  }={}) {
+    this.sinks = sinks;
+    this.setBudget(budget);
+
+    this.totals = {
+      calls: 0
+    , tokensSent: 0
+    , tokensReceived: 0
+    , cost: 0
+    };
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+    return sink;
+  }
+
+  //the process-wide cap, applied on top of any per-prompt or per-run budgets
+  setBudget(budget) {
+    this.budget = Budget.from(budget);
+  }
+
+  budgets(budgets=[]) {
+    return _.uniq(_.compact([this.budget, ...budgets.map(Budget.from)]));
+  }
+
+  check(budgets, estimatedCost=0) {
+    this.budgets(budgets).forEach(budget => budget.check(estimatedCost));
+  }
+
+  record(entry, budgets) {
+    entry = _.extend({
+      timestamp: new Date().toISOString()
+    , model: undefined
+    , tokensSent: 0
+    , tokensReceived: 0
+    , cost: 0
+    , parserFixed: false
+    , corrected: false
+    , tag: undefined
+    }, entry);
+
+    this.totals.calls++;
+    this.totals.tokensSent += entry.tokensSent;
+    this.totals.tokensReceived += entry.tokensReceived;
+    this.totals.cost += entry.cost;
+
+    this.budgets(budgets).forEach(budget => budget.add(entry.cost));
+    this.sinks.forEach(sink => sink.write(entry));
+
+    return entry;
+  }
+
+  entries() {
+    return _.flatMap(this.sinks.filter(sink => sink instanceof MemorySink), 'entries');
+  }
+}
+
+//LLMADE_LEDGER appends every call of the process to a JSON-lines file
+const ledger = new UsageLedger();
+if (process.env.LLMADE_LEDGER) ledger.addSink(new JSONLinesSink(process.env.LLMADE_LEDGER));
+
+module.exports = {
+  Budget,
+  BudgetExceededError,
+  JSONLinesSink,
+  MemorySink,
+  UsageLedger,
+  ledger,
+};
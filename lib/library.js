@@ -0,0 +1,139 @@
+const FS = require('fs');
+const Path = require('path');
+
+const _ = require('lodash');
+const YAML = require('js-yaml');
+
+const { compileTemplate } = require('./template.js');
+
+const roles = ['system', 'user', 'human', 'assistant', 'ai'];
+const promptExtensions = ['.md', '.yaml', '.yml', '.json'];
+
+const frontmatter = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const roleHeading = new RegExp(`^#[ \\t]+(${roles.join('|')})[ \\t]*$`, 'gim');
+const partialTag = /<%>\s*([\w./-]+)\s*%>/g;
+
+//markdown prompts are a YAML frontmatter and a body; `# system`, `# user` and `# assistant` headings split the
+//body into messages, otherwise it's one message with the frontmatter's `role` (user by default)
+function parseMarkdown(text) {
+  const match = text.match(frontmatter)
+      , definition = (match && YAML.load(match[1])) || {}
+      , body = match ? text.slice(match[0].length) : text
+      , headings = Array.from(body.matchAll(roleHeading));
+
+  if (!headings.length) return _.extend(_.omit(definition, ['role']), {
+    messages: [{ role: definition.role || 'user', content: body.trim() }]
+  });
+
+  return _.extend(definition, {
+    messages: headings.map((heading, index) => ({
+      role: heading[1].toLowerCase()
+    , content: body.slice(heading.index + heading[0].length, headings[index + 1]?.index).trim()
+    }))
+  });
+}
+
+function parsePrompt(text, ext) {
+  if (ext === '.md') return parseMarkdown(text);
+
+  const definition = YAML.load(text) || {};
+  if (typeof definition.messages === 'string') definition.messages = [{ role: definition.role || 'user', content: definition.messages }];
+  return _.omit(definition, ['role']);
+}
+
+//replaces <%> name %> with the partial, recursively
+function includePartials(content, partials, seen=[]) {
+  return content.replace(partialTag, (tag, name) => {
+    if (seen.includes(name)) throw new Error(`Partial ${name} includes itself: ${seen.concat(name).join(' > ')}`);
+    if (partials[name] === undefined) throw new Error(`Unknown partial: ${name}`);
+
+    return includePartials(partials[name], partials, seen.concat(name)).trim();
+  });
+}
+
+const walk = (dir, prefix='') => FS.existsSync(dir) ? _.flatMap(FS.readdirSync(dir, { withFileTypes: true }), entry => entry.isDirectory()
+  ? walk(Path.join(dir, entry.name), `${prefix}${entry.name}/`)
+  : [`${prefix}${entry.name}`]) : [];
+
+//prompts kept as files: prompts/summarize.md, prompts/review/extract.yaml... with shared partials in prompts/partials;
+//frontmatter keys are Prompt options, except `schema` which names one of the schemas passed in
+class PromptLibrary {
+  constructor(dir, {
+    schemas={}
+  , partials={}
+  , ...promptOptions
+  }={}) {
+    this.dir = Path.resolve(dir);
+    this.schemas = schemas;
+    this.promptOptions = promptOptions;
+    this.definitions = {};
+
+    this.partials = _.extend(walk(Path.join(this.dir, 'partials')).reduce((acc, file) => {
+      acc[file.replace(/\.[^./]+$/, '')] = FS.readFileSync(Path.join(this.dir, 'partials', file)).toString();
+      return acc;
+    }, {}), partials);
+  }
+
+  names() {
+    return walk(this.dir)
+      .filter(file => !file.startsWith('partials/') && promptExtensions.includes(Path.extname(file)))
+      .map(file => file.slice(0, -Path.extname(file).length));
+  }
+
+  definition(name) {
+    if (this.definitions[name]) return this.definitions[name];
+
+    const ext = promptExtensions.find(ext => FS.existsSync(Path.join(this.dir, name + ext)));
+    if (!ext) throw new Error(`Unknown prompt: ${name}`);
+
+    const definition = parsePrompt(FS.readFileSync(Path.join(this.dir, name + ext)).toString(), ext);
+
+    if (!definition.messages?.length) throw new Error(`Prompt ${name} has no messages`);
+    if (definition.schema && !this.schemas[definition.schema]) throw new Error(`Unknown schema ${definition.schema} in prompt ${name}`);
+
+    definition.messages = definition.messages.map(({ role='user', content, raw }) => {
+      if (!roles.includes(role)) throw new Error(`Invalid role ${role} in prompt ${name}`);
+
+      content = includePartials(content, this.partials);
+      if (!raw) compileTemplate(content);
+
+      return _.omitBy({ role, content, raw }, _.isUndefined);
+    });
+
+    return this.definitions[name] = definition;
+  }
+
+  //a new Prompt for each call, so callers can set their own model settings, budget or cache
+  get(name, options={}) {
+    const { Prompt } = require('./llm.js');
+
+    const { schema, ...definition } = this.definition(name);
+
+    return new Prompt(_.extend({}, this.promptOptions, definition, {
+      schema: schema ? this.schemas[schema] : this.promptOptions.schema
+    }, options));
+  }
+
+  //loads every prompt, so a broken partial, template or schema reference fails in CI instead of at call time
+  validate() {
+    return this.names().reduce((errors, name) => {
+      try {
+        this.definition(name);
+      } catch (error) {
+        errors.push({ name, error });
+      }
+      return errors;
+    }, []);
+  }
+}
+
+//a single prompt file, with partials and schemas from the options
+function loadPrompt(path, options={}) {
+  return new PromptLibrary(Path.dirname(path), options).get(Path.basename(path, Path.extname(path)));
+}
+
+module.exports = {
+  PromptLibrary,
+  loadPrompt,
+  parsePrompt,
+};
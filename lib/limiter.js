@@ -1,4 +1,72 @@
 const Bottleneck = require('bottleneck');
+const Delay = require('delay');
+
+const { tracer } = require('./trace.js');
+
+//models without published limits (local servers) get an unlimited reservoir
+const reservoir = (perMinute, bufferPercentage) => perMinute ? {
+  reservoir: Math.floor(perMinute * bufferPercentage),
+  reservoirRefreshAmount: Math.floor(perMinute * bufferPercentage),
+  reservoirRefreshInterval: 60 * 1000,
+} : {};
+
+//parses reset durations like "1s", "6m0s" or "20ms", and plain seconds like retry-after
+const parseDuration = (value) => {
+  if (value === undefined || value === null || value === '') return;
+  if (/^\d+(\.\d+)?$/.test(value)) return parseFloat(value) * 1000;
+
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+  const parts = [...`${value}`.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length) return parts.reduce((ms, [, n, unit]) => ms + parseFloat(n) * units[unit], 0);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(date - Date.now(), 0);
+};
+
+const header = (headers, name) => headers?.get ? headers.get(name) : headers?.[name];
+
+const statusOf = (error) => error?.response?.status ?? error?.status;
+
+//errors opt out with `retryable = false`; HTTP errors are retried on timeouts, conflicts,
+//rate limits and server errors; anything else (network, parsing) is retried
+const isRetryable = (error) => {
+  if (error?.retryable !== undefined) return error.retryable;
+
+  const status = statusOf(error);
+  if (status) return status === 408 || status === 409 || status === 429 || status >= 500;
+
+  return true;
+};
+
+//thrown when a call's signal aborts or its timeout or deadline passes; `result` holds the usage of
+//the work that finished before it stopped
+class CancelledError extends Error {
+  constructor(reason, result) {
+    super(reason?.name === 'TimeoutError' ? 'Cancelled: the timeout or deadline passed' : `Cancelled${reason?.message ? `: ${reason.message}` : typeof reason === 'string' ? `: ${reason}` : ''}`);
+    this.name = 'CancelledError';
+    this.retryable = false;
+    this.reason = reason;
+    this.timedOut = reason?.name === 'TimeoutError';
+    this.result = result;
+  }
+}
+
+//one signal for a caller's {signal, timeout, deadline}: timeout is in ms from now, deadline a Date or
+//epoch ms. Nested calls should be given the returned signal, so their timeouts don't start over
+const abortSignal = ({ signal, timeout, deadline }={}) => {
+  const signals = [signal];
+  if (timeout !== undefined) signals.push(AbortSignal.timeout(Math.max(timeout, 0)));
+  if (deadline !== undefined) signals.push(AbortSignal.timeout(Math.max(new Date(deadline).getTime() - Date.now(), 0)));
+
+  const active = signals.filter(s => s);
+  return active.length > 1 ? AbortSignal.any(active) : active[0];
+};
+
+//exponential backoff with equal jitter: half the delay is fixed, half is random
+const backoffDelay = (attempt, retryDelay=1000, maxDelay=60 * 1000) => {
+  const delay = Math.min(retryDelay * Math.pow(2, attempt), maxDelay);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
 
 class RateLimiter {
   constructor({
@@ -6,35 +74,196 @@ class RateLimiter {
   , maxTokensPerMinute
   , bufferPercentage=0.80
   }) {
-    this.requestLimiter = new Bottleneck({
-      reservoir: Math.floor(maxRequestsPerMinute * bufferPercentage),
-      reservoirRefreshAmount: Math.floor(maxRequestsPerMinute * bufferPercentage),
-      reservoirRefreshInterval: 60 * 1000,
-    });
+    this.maxRequestsPerMinute = maxRequestsPerMinute;
+    this.maxTokensPerMinute = maxTokensPerMinute;
+    this.bufferPercentage = bufferPercentage;
+    this.pausedUntil = 0;
 
-    this.tokenLimiter = new Bottleneck({
-      reservoir: Math.floor(maxTokensPerMinute * bufferPercentage),
-      reservoirRefreshAmount: Math.floor(maxTokensPerMinute * bufferPercentage),
-      reservoirRefreshInterval: 60 * 1000
-    });
+    this.requestLimiter = new Bottleneck(reservoir(maxRequestsPerMinute, bufferPercentage));
+
+    this.tokenLimiter = new Bottleneck(reservoir(maxTokensPerMinute, bufferPercentage));
   }
 
-  async process(func) {
-    return this.requestLimiter.schedule(() =>
-      this.tokenLimiter.schedule(async () => {
+  //jobs run under the caller's span, and report how long they waited in the queues and pauses.
+  //When the signal aborts the caller is released right away, and a job still queued is skipped
+  //when its turn comes, giving its request back to the reservoir
+  async process(func, signal) {
+    if (signal?.aborted) throw new CancelledError(signal.reason);
+
+    const queued = Date.now()
+        , span = tracer.current();
+
+    let cancelled = false;
+
+    const job = this.requestLimiter.schedule(() =>
+      this.tokenLimiter.schedule(() => tracer.within(span, async () => {
+        if (cancelled) {
+          if (this.maxRequestsPerMinute) await this.requestLimiter.incrementReservoir(1);
+          return;
+        }
+
+        await this.waitForPause(signal);
+
+        tracer.event('queue.wait', { 'llmade.wait_ms': Date.now() - queued });
+
         let tokensUsed = 0;
         const reportTokens = (count) => { tokensUsed = count; };
 
         const response = await func(reportTokens);
 
-        await this.tokenLimiter.incrementReservoir(-tokensUsed);
+        if (this.maxTokensPerMinute) await this.tokenLimiter.incrementReservoir(-tokensUsed);
 
         return response;
-      })
+      }))
+    );
+
+    if (!signal) return job;
+
+    return new Promise((resolve, reject) => {
+      const abort = () => {
+        cancelled = true;
+        reject(new CancelledError(signal.reason));
+      };
+
+      signal.addEventListener('abort', abort, { once: true });
+      job.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+    });
+  }
+
+  //holds every job sharing this limiter until the pause is over
+  pause(ms) {
+    if (ms > 0) this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    return this.pausedUntil - Date.now();
+  }
+
+  async waitForPause(signal) {
+    while (this.pausedUntil > Date.now()) {
+      if (signal?.aborted) throw new CancelledError(signal.reason);
+      await Delay(this.pausedUntil - Date.now(), { signal }).catch(() => {});
+    }
+  }
+
+  async resize(limiter, limitKey, limit, remaining, reset) {
+    if (limit && limit !== this[limitKey]) {
+      this[limitKey] = limit;
+      await limiter.updateSettings(reservoir(limit, this.bufferPercentage));
+    }
+
+    if (remaining === undefined || !this[limitKey]) return;
+
+    if (remaining <= 0) {
+      this.pause(reset || 1000);
+    } else {
+      const current = await limiter.currentReservoir();
+      if (current > remaining) await limiter.updateSettings({ reservoir: remaining });
+    }
+  }
+
+  //applies newly configured limits, e.g. after moving to another rate tier
+  async setLimits({ maxRequestsPerMinute, maxTokensPerMinute }={}) {
+    await this.resize(this.requestLimiter, 'maxRequestsPerMinute', maxRequestsPerMinute);
+    await this.resize(this.tokenLimiter, 'maxTokensPerMinute', maxTokensPerMinute);
+  }
+
+  //applies x-ratelimit-* response headers: limits resize the reservoirs, remaining counts
+  //shrink them and an exhausted limit pauses until its reset
+  async updateFromHeaders(headers) {
+    const number = name => {
+      const value = parseFloat(header(headers, name));
+      return isNaN(value) ? undefined : value;
+    };
+
+    await this.resize(
+      this.requestLimiter
+    , 'maxRequestsPerMinute'
+    , number('x-ratelimit-limit-requests')
+    , number('x-ratelimit-remaining-requests')
+    , parseDuration(header(headers, 'x-ratelimit-reset-requests'))
+    );
+
+    await this.resize(
+      this.tokenLimiter
+    , 'maxTokensPerMinute'
+    , number('x-ratelimit-limit-tokens')
+    , number('x-ratelimit-remaining-tokens')
+    , parseDuration(header(headers, 'x-ratelimit-reset-tokens'))
     );
   }
+
+  //pauses on 429s for retry-after (or the reset headers) and returns the pause in ms
+  handleError(error) {
+    const headers = error?.response?.headers ?? error?.headers; //axios errors, then openai v4 errors
+    if (headers) this.updateFromHeaders(headers).catch(() => {});
+
+    if (statusOf(error) !== 429) return 0;
+
+    const retryAfterMs = parseFloat(header(headers, 'retry-after-ms'));
+
+    const wait = (isNaN(retryAfterMs) ? undefined : retryAfterMs)
+      ?? parseDuration(header(headers, 'retry-after'))
+      ?? Math.max(
+        parseDuration(header(headers, 'x-ratelimit-reset-requests')) || 0
+      , parseDuration(header(headers, 'x-ratelimit-reset-tokens')) || 0
+      );
+
+    return this.pause(wait || 1000);
+  }
+}
+
+//one rate limiter per model name, shared by every prompt, transcriber and embedder calling the model
+const rateLimiters = {};
+
+const rateLimiterFor = (name, settings) => {
+  if (!rateLimiters[name]) rateLimiters[name] = new RateLimiter(settings);
+  return rateLimiters[name];
+};
+
+//calls fn through the rate limiter, backing off between retryable failures for at least as long as
+//the limiter pauses on a 429; API clients used with it are built with maxRetries: 0 so retries
+//don't stack
+async function withRetries(rateLimiter, fn, { retries=5, retryDelay=1000, signal }={}) {
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw new CancelledError(signal.reason);
+
+    try {
+      return await rateLimiter.process(fn, signal);
+    } catch (e) {
+      if (signal?.aborted) throw new CancelledError(signal.reason);
+
+      const pause = rateLimiter.handleError(e);
+      if (!isRetryable(e) || attempt >= retries) throw e;
+
+      await Delay(Math.max(backoffDelay(attempt, retryDelay), pause), { signal }).catch(() => {});
+    }
+  }
+}
+
+//runs func over items with at most `concurrency` calls in flight, preserving order
+async function mapConcurrent(items, concurrency, func) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await func(items[i], i);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency || items.length, items.length) }, worker));
+
+  return results;
 }
 
 module.exports = {
-  RateLimiter
-};
\ No newline at end of file
+  CancelledError,
+  RateLimiter,
+  abortSignal,
+  backoffDelay,
+  isRetryable,
+  mapConcurrent,
+  parseDuration,
+  rateLimiterFor,
+  rateLimiters,
+  withRetries,
+};
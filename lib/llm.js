@@ -5,10 +5,6 @@ const Delay = require('delay');
 
 const { zodToJsonSchema } = require('zod-to-json-schema');
 
-const { 
-  ChatOpenAI
-} = require('langchain/chat_models/openai');
-
 const {
   ChatPromptTemplate,
   HumanMessagePromptTemplate,
@@ -25,38 +21,87 @@ const {
 
 const { LLMChain } = require('langchain/chains');
 
+const { BaseLLMOutputParser } = require('langchain/schema/output_parser');
+
+const { AIMessage, HumanMessage } = require('langchain/schema');
+
 const {
   SupportedTextSplitterLanguages,
   RecursiveCharacterTextSplitter,
-  TokenTextSplitter,
 } = require('langchain/text_splitter');
 
 const Z = require('zod');
 
-const { RateLimiter } = require('./limiter.js');
-
-const modelSettings = require('../settings.json').models.filter(m => m.modelName.match(/^gpt/i));
-
-const rateLimiters = modelSettings.reduce((acc, settings) => {
-  acc[settings.modelName] = new RateLimiter(settings);
-  return acc;
-}, {});
+const { CancelledError, abortSignal, backoffDelay, isRetryable, mapConcurrent, rateLimiterFor, rateLimiters } = require('./limiter.js');
+const { createLLM, providers, registerProvider } = require('./providers.js');
+const { Cassette, CassetteMissError } = require('./replay.js');
+const { AsyncQueue, parsePartialJSON, partialSchema } = require('./stream.js');
+const { Budget, BudgetExceededError, JSONLinesSink, MemorySink, UsageLedger, ledger } = require('./ledger.js');
+const { DiskCache, MemoryCache, hashKey, keySettings, resolveCache, secretSettings } = require('./cache.js');
+const { AudioTranscriber } = require('./audio.js');
+const { CheckpointFile, CheckpointMismatchError, MemoryCheckpoint, resolveCheckpoint } = require('./checkpoint.js');
+const { TokenSplitter, Tokenizer, registerEncoding, tokenizerFor } = require('./tokenizer.js');
+const { MissingVariablesError, TemplateError, compileTemplate } = require('./template.js');
+//library.js, eval.js and agent.js are exported from here, so they require llm.js inside the methods
+//that need it, once it has loaded
+const { PromptLibrary, loadPrompt } = require('./library.js');
+const { Evaluation, formatReport, loadDataset, scorers } = require('./eval.js');
+const { MemoryExporter, OTelFileExporter, Tracer, tracer } = require('./trace.js');
+const { Agent, StepLimitError } = require('./agent.js');
+const { Embedder, VectorIndex, embeddingProviders, hashEmbedding, registerEmbeddingProvider } = require('./retrieval.js');
+
+const { ModelRegistry, registry } = require('./registry.js');
+
+const settingsFor = (name) => registry.get(name) || {};
+
+//the API's error for prompts longer than the model's context; axios errors keep it in response.data
+const contextOverflow = (error) => {
+  const { code, message } = error?.response?.data?.error || error || {};
+  return code === 'context_length_exceeded' || /maximum context length/i.test(message);
+};
 
 class Model {
   constructor(settings = {}) {
     // Extract settings
-    const { modelName, maxTokens, tokenTxPrice, tokensRxPrice, requestsPerMinute, tokensPerMinute, ...modelSettings } = settings;
+    const { modelName, maxTokens, maxResponseTokens=4096, tokenTxPrice=0, tokensRxPrice=0, requestsPerMinute, tokensPerMinute, provider='openai', baseURL, type, functionCalling=false, jsonMode=false, maxRetries=0, encoding, ...modelSettings } = settings;
 
     // Assign settings
     this.modelName = modelName;
     this.maxTokens = maxTokens;
+    this.maxResponseTokens = maxResponseTokens; //the longest response the model writes, for budget estimates
     this.tokenTxPrice = tokenTxPrice;
     this.tokensRxPrice = tokensRxPrice;
     this.requestsPerMinute = requestsPerMinute;
     this.tokensPerMinute = tokensPerMinute;
+    this.provider = provider;
+    this.baseURL = baseURL;
+    this.functionCalling = functionCalling;
+    this.jsonMode = jsonMode;
+    this.tokenizer = tokenizerFor(modelName, encoding); //local and memoized, shared per encoding
+
+    this.rateLimiter = rateLimiterFor(this.modelName, settings);
+    //retries are left to Prompt.call so they can back off together with the shared rate limiter
+    this.llm = createLLM({ modelName, provider, baseURL, maxRetries, ...modelSettings });
+  }
 
-    this.rateLimiter = rateLimiters[this.modelName]; //shared rate limiters
-    this.llm = new ChatOpenAI(Object.assign({}, { modelName, ...modelSettings }));
+  //axios options for OpenAI clients so the rate limiter sees the x-ratelimit-* headers of every response
+  callOptions() {
+    if (!this.llm.clientConfig) return {};
+
+    return {
+      options: {
+        transformResponse: [(data, headers) => {
+          if (headers) this.rateLimiter.updateFromHeaders(headers).catch(() => {});
+
+          if (typeof data !== 'string') return data;
+          try {
+            return JSON.parse(data);
+          } catch {
+            return data;
+          }
+        }]
+      }
+    };
   }
 
   calculateCost(tokensSent, tokensReceived) {
@@ -67,7 +112,11 @@ class Model {
 
   async countTokens(text, debug) {
     if (debug) console.log(text);
-    return await this.llm.getNumTokens(text);
+    return this.tokenizer.count(text);
+  }
+
+  async countTokensMany(texts) {
+    return this.tokenizer.countMany(texts);
   }
 
   async remainingTokensForPrompt(prompt) {
@@ -76,37 +125,172 @@ class Model {
   }
 }
 
-const models = modelSettings.reduce((acc, settings) => {
-  acc[settings.modelName] = new Model(settings);
-  return acc;
-}, {});
+const models = {};
+
+//models follow the registry: changed entries are rebuilt and the shared rate limiter of any model,
+//including transcription and embedding models, takes the new limits
+const refreshModel = (name) => {
+  const settings = registry.get(name);
+  if (settings && rateLimiters[settings.modelName]) rateLimiters[settings.modelName].setLimits(settings).catch(() => {});
+
+  if (!settings || (settings.type || 'chat') !== 'chat') return delete models[name];
+
+  models[name] = new Model(settings);
+};
+
+registry.names({ type: 'chat' }).forEach(refreshModel);
+registry.on('change', refreshModel);
+
+//returns the arguments of a function call, or the message text when the model answered without one
+class FunctionArgumentsParser extends BaseLLMOutputParser {
+  constructor() {
+    super();
+    this.lc_namespace = ['llmade', 'output_parsers'];
+  }
+
+  async parseResult(generations) {
+    return generations[0].message?.additional_kwargs?.function_call?.arguments || generations[0].text;
+  }
+}
 
 class JSONParser {
-  constructor(schema, modelName) {
+  constructor(schema, modelName, settings={}, structuredOutput='auto') {
     this.zod = schema;
     this.schema = zodToJsonSchema(schema);
     this.description = JSON.stringify(this.schema);
 
     this.parser = StructuredOutputParser.fromZodSchema(schema);
-    this.formatInstructions = this.parser.getFormatInstructions();
 
-    this.model = new Model({
-      modelName
-    , temperature: 0
-    });
+    this.model = new Model(_.extend({ modelName }, settingsFor(modelName), settings, {
+      temperature: 0
+    }));
     this.fixingParser = OutputFixingParser.fromLLM(
       this.model.llm,
       this.parser
     );
+
+    this.setMode(structuredOutput);
+  }
+
+  //functions and JSON mode need an object at the top level, so other schemas are wrapped in {response}
+  setMode(structuredOutput='auto') {
+    if (structuredOutput === 'auto') {
+      structuredOutput = this.model.functionCalling ? 'functions' : this.model.jsonMode ? 'json' : 'instructions';
+    }
+    if (!['functions', 'json', 'instructions'].includes(structuredOutput)) throw new Error(`Invalid structuredOutput: ${structuredOutput}`);
+
+    this.mode = structuredOutput;
+
+    const { $schema, ...parameters } = this.schema;
+    this.wrapped = parameters.type !== 'object';
+    this.parameters = this.wrapped ? {
+      type: 'object'
+    , properties: { response: parameters }
+    , required: ['response']
+    } : parameters;
+
+    if (this.mode === 'functions') {
+      this.formatInstructions = '';
+    } else if (this.mode === 'json') {
+      this.formatInstructions = `Respond with a JSON object that matches this JSON schema:\n${JSON.stringify(this.parameters)}`;
+    } else {
+      this.formatInstructions = this.parser.getFormatInstructions();
+    }
+  }
+
+  //extra LLM call options for the selected mode
+  callOptions() {
+    if (this.mode !== 'functions') return {};
+
+    return {
+      functions: [{
+        name: 'response'
+      , description: this.schema.description || 'Return the response'
+      , parameters: this.parameters
+      }]
+    , function_call: { name: 'response' }
+    };
+  }
+
+  //LLM settings the model must be built with for the selected mode
+  modelSettings() {
+    if (this.mode !== 'json') return {};
+    return { modelKwargs: { response_format: { type: 'json_object' } } };
+  }
+
+  outputParser() {
+    if (this.mode === 'functions') return new FunctionArgumentsParser();
+  }
+
+  async countSchemaTokens() {
+    if (this.mode !== 'functions') return 0;
+    return this.model.countTokens(JSON.stringify(this.callOptions().functions));
+  }
+
+  unwrap(data) {
+    return this.wrapped ? data?.response : data;
+  }
+
+  partial(text) {
+    const data = parsePartialJSON(text);
+    return this.mode === 'instructions' ? data : this.unwrap(data);
+  }
+
+  //Zod issues of a response that is JSON but breaks the schema; nothing for valid responses, and
+  //nothing for malformed JSON, which is left to the fixing parser
+  async issues(text) {
+    let data;
+    try {
+      data = JSON.parse((/```(?:json)?(.*)```/s.exec(text)?.[1] ?? text).trim());
+    } catch {
+      return;
+    }
+
+    const result = await this.zod.safeParseAsync(this.mode === 'instructions' ? data : this.unwrap(data));
+    if (result.success) return;
+
+    //paths as the model sees them, inside {response} when the schema is wrapped
+    const prefix = this.wrapped && this.mode !== 'instructions' ? ['response'] : [];
+
+    return result.error.issues.map(issue => ({
+      path: [...prefix, ...issue.path].join('.')
+    , code: issue.code
+    , message: issue.message
+    }));
+  }
+
+  async parseText(text) {
+    if (this.mode !== 'instructions') {
+      try {
+        return await this.zod.parseAsync(this.unwrap(JSON.parse(text)));
+      } catch {
+        //fall through to the format-instruction parser, which also handles fenced JSON
+      }
+    }
+
+    return this.parser.parse(text);
   }
 
-  async parse(text, rateLimiter, promptTokens=0) {
+  //check is called with the estimated cost of a fixing call before it is sent; bypassCache skips the
+  //lookup of cached fixes but still stores the new one
+  async parse(text, rateLimiter, promptTokens=0, { check, bypassCache }={}) {
     let res = {};
     try {
-      res.data = await this.parser.parse(text);
+      res.data = await this.parseText(text);
     } catch (e) {    
-      const self = this;
-      res = await this.model.rateLimiter.process(async (reportTokens) => {
+      const self = this
+          , key = this.cache && hashKey({ fix: text, schema: this.description, modelName: this.model.modelName })
+          , cached = key && !bypassCache && await this.cache.get(key);
+
+      if (!cached && check) check(this.model.calculateCost(Math.round(promptTokens * 1.10), await this.model.countTokens(text)));
+
+      res = cached ? {
+        data: cached
+      , tokensSent: 0
+      , tokensReceived: 0
+      , cost: 0
+      , cached: true
+      } : await tracer.span('parser.fix', { 'gen_ai.request.model': this.model.modelName }, () => this.model.rateLimiter.process(async (reportTokens) => {
         const data = await this.fixingParser.parse(text)
             , tokensSent = Math.round(promptTokens * 1.10)
             , tokensReceived = await self.model.countTokens(JSON.stringify(data))
@@ -120,11 +304,24 @@ class JSONParser {
           tokensReceived,
           cost,
         };
-      });
+      }));
+
+      if (key && !cached) await this.cache.set(key, res.data, this.cacheTTL);
 
       res.parserFixed = true;
+
+      tracer.event('parser.fixed', {
+        'gen_ai.request.model': this.model.modelName
+      , 'gen_ai.usage.input_tokens': res.tokensSent
+      , 'gen_ai.usage.output_tokens': res.tokensReceived
+      , 'llmade.cost': res.cost
+      , 'llmade.cached': !!res.cached
+      , 'llmade.error': e.message
+      });
     }
 
+    res.mode = this.mode;
+
     return res;
   }  
 }
@@ -137,25 +334,91 @@ class Prompt {
   , modelSettings={}
   , inputVariables
   , messageData={}
+  , defaults={}
+  , structuredOutput='auto'
+  , budget
+  , tag
+  , ledger: usageLedger=ledger
+  , cache
+  , cacheTTL
+  , corrections=0
+  , routing
   }) {
+    this.defaults = defaults;
     this.setMessages(messages, messageData);
 
     this.schema = schema;
+    this.structuredOutput = structuredOutput;
 
+    this.cache = resolveCache(cache);
+    this.cacheTTL = cacheTTL;
+
+    this.corrections = corrections;
+
+    this.budget = Budget.from(budget);
+    this.tag = tag;
+    this.ledger = usageLedger;
+
+    this.setRouting(routing);
     this.setModel(model, modelSettings);
   }
 
-  setMessages(messages, data={}, modelSettings) {
+  //routing is a list of candidate models, or {models, responseTokens, maxPause}: calls go to the cheapest
+  //candidate whose context fits the prompt plus responseTokens, and fall back to the next cheapest
+  //after its retries fail, a rate limit pauses it for longer than maxPause ms or its context overflows
+  setRouting(routing) {
+    if (Array.isArray(routing)) routing = { models: routing };
+    if (routing && !_.size(routing.models)) throw new Error('routing needs at least one model');
+
+    const unknown = _.reject(routing?.models, name => registry.has(name));
+    if (unknown.length) throw new Error(`Unknown model: ${unknown.join(', ')}`);
+
+    this.routing = routing && _.extend({ responseTokens: 500, maxPause: 10 * 1000 }, routing);
+    this.routes = {};
+  }
+
+  //the prompt as sent to another model, sharing its messages, schema, budget, cache and ledger
+  route(name) {
+    let route = this.routes[name];
+
+    if (!route || route.messageText !== this.messageText || route.schema !== this.schema) {
+      route = this.routes[name] = Object.assign(Object.create(Prompt.prototype), this, {
+        modelSettings: {} //candidates use their registered settings
+      , routing: undefined
+      , routes: {}
+      });
+      route.setModel(name);
+    }
+
+    return route;
+  }
+
+  setMessages(messages, data={}, modelSettings, strict=false) {
     this.messageText = messages;
     if (!Array.isArray(this.messageText)) this.messageText = [this.messageText];
 
-    this.messages = this.messageText.map(message => {
-      let content = typeof message === 'string' ? message : message.text || message.content
+    this.promptTemplate = this.renderTemplate(data, strict);
+    this.messages = this.promptTemplate.promptMessages;
 
-      try {
-        content = _.template(content)(data);
-      } catch {
+    if (this.modelName) this.setModel(this.modelName, modelSettings);
+  }
+
+  //a prompt template of its own for the data, so concurrent calls don't replace each other's messages.
+  //Strict rendering throws template errors instead of leaving the template unrendered, which is only
+  //acceptable while estimating token counts with placeholder data
+  renderTemplate(data={}, strict=false) {
+    const messages = this.messageText.map(message => {
+      let content = typeof message === 'string' ? message : message.text || message.content
 
+      if (message.raw) {
+        content = content.replace(/[{}]/g, c => c + c); //literal text, so escape langchain's {variables}
+      } else {
+        const template = compileTemplate(content);
+        try {
+          content = template.render(data);
+        } catch (e) {
+          if (strict) throw new TemplateError(`Failed to render template: ${e.message}`, content);
+        }
       }
 
       if (typeof message === 'string') {
@@ -171,48 +434,192 @@ class Prompt {
       }
     });
 
-    this.promptTemplate = ChatPromptTemplate.fromPromptMessages(this.messages);
+    return ChatPromptTemplate.fromPromptMessages(messages);
+  }
 
-    if (this.modelName) this.setModel(this.modelName, modelSettings);
+  chainFor(promptTemplate) {
+    //JSON mode requires the word JSON in the messages, so add the instructions if the template doesn't
+    const prompt = this.parser.mode === 'json' && !promptTemplate.inputVariables.includes('formatInstructions')
+      ? ChatPromptTemplate.fromPromptMessages([...promptTemplate.promptMessages, SystemMessagePromptTemplate.fromTemplate('{formatInstructions}')])
+      : promptTemplate;
+
+    return new LLMChain({
+      llm: this.model.llm,
+      prompt,
+      outputParser: this.parser.outputParser(),
+    });
   }
 
   setModel(model, newModelSettings={}) {
     this.modelName = model;
-    if (_.size(newModelSettings)) this.modelSettings = _.extend({}, modelSettings.find(s => s.modelName === model), newModelSettings);
+    if (_.size(newModelSettings)) this.modelSettings = _.extend({}, settingsFor(model), newModelSettings);
+
+    this.parser = new JSONParser(this.schema, this.modelName, this.modelSettings, this.structuredOutput);
+    this.parser.cache = this.cache;
+    this.parser.cacheTTL = this.cacheTTL;
+    this.formatInstructions = this.parser.formatInstructions;
+
+    const parserSettings = this.parser.modelSettings();
 
-    this.model = _.size(this.modelSettings) ? new Model({
+    this.model = _.size(this.modelSettings) || _.size(parserSettings) ? new Model({
       modelName: this.modelName,
-      ...this.modelSettings
+      ...settingsFor(model),
+      ...this.modelSettings,
+      ...parserSettings,
     }) : models[this.modelName];
-    this.chain = new LLMChain({
-      llm: this.model.llm,
-      prompt: this.promptTemplate
-    });
 
-    this.parser = new JSONParser(this.schema, this.model.modelName);
-    this.formatInstructions = this.parser.formatInstructions;
+    this.chain = this.chainFor(this.promptTemplate);
   }
 
-  async call(data, retries=5, retryDelay=1000) {
-    let tokensSent = 0
-      , tokensReceived = 0
-      , cost = 0;
+  //variables the caller has to pass: everything the templates read that the prompt doesn't provide itself
+  variables() {
+    const templates = this.messageText.filter(message => !message.raw)
+          .map(message => compileTemplate(typeof message === 'string' ? message : message.text || message.content))
+      , provided = _.keys(_.extend({}, this.defaults, this)).concat(['tokenCount', 'remainingTokenCount']);
+
+    return {
+      required: _.difference(_.union(...templates.map(t => t.required)), provided)
+    , optional: _.difference(_.union(...templates.map(t => t.optional)), provided)
+    };
+  }
+
+  checkVariables(data={}) {
+    const missing = this.variables().required.filter(name => data[name] === undefined);
+    if (missing.length) throw new MissingVariablesError(missing);
+  }
+
+  async renderPromptData(data={}) {
+    this.checkVariables(data);
 
     let promptData = this.promptData(data)
       , tokenCount = await this.countTokens(promptData)
       , remainingTokenCount = this.model.maxTokens - tokenCount;
 
-    if (remainingTokenCount < 0) {
-      retries = 0;
-      throw new Error('tokenCount exceeds maxTokens');
-    }
+    if (remainingTokenCount < 0) throw new Error('tokenCount exceeds maxTokens');
 
-    promptData = _.extend({}, this, {
+    promptData = _.extend({}, this.defaults, this, {
       remainingTokenCount
     , tokenCount
     }, data);
 
-    this.setMessages(this.messageText, promptData);
+    const promptTemplate = this.renderTemplate(promptData, true);
+
+    //{variables} only rendered in a branch the data took
+    const missing = promptTemplate.inputVariables.filter(name => promptData[name] === undefined);
+    if (missing.length) throw new MissingVariablesError(missing);
+
+    //the chain for this call's messages, in place of the prompt's own
+    return _.extend(promptData, { chain: this.chainFor(promptTemplate) });
+  }
+
+  //data.signal, data.timeout (ms) and data.deadline cancel the call with a CancelledError
+  async call(data, retries=5, retryDelay=1000) {
+    if (this.routing) return this.callRoutes(data, retries, retryDelay);
+
+    return this.callModel(data, retries, retryDelay);
+  }
+
+  //one model's call; with maxPause, a rate limit pause longer than it is thrown instead of waited out
+  async callModel(data, retries, retryDelay, maxPause) {
+    return tracer.span('prompt.call', {
+      'gen_ai.request.model': this.modelName
+    , 'llmade.tag': data?.tag || this.tag
+    }, async (span) => {
+      const response = await this.callWithRetries(data, retries, retryDelay, abortSignal(data), maxPause);
+
+      span.setAttributes({
+        'gen_ai.usage.input_tokens': response?.tokensSent
+      , 'gen_ai.usage.output_tokens': response?.tokensReceived
+      , 'llmade.cost': response?.cost
+      , 'llmade.cached': response?.cached
+      , 'llmade.parser_fixed': response?.parserFixed
+      });
+
+      return response;
+    });
+  }
+
+  //candidates whose context fits, cheapest first; ties keep the order of routing.models
+  async candidates(data={}) {
+    const routes = await Promise.all(this.routing.models.map(async (name) => {
+      const route = this.route(name)
+          , responseTokens = data.responseTokenLength ?? this.routing.responseTokens
+          , tokenCount = await route.countTokens(data) + await route.parser.countSchemaTokens();
+
+      return {
+        name
+      , route
+      , tokenCount
+      , fits: tokenCount + responseTokens <= route.model.maxTokens
+      , estimatedCost: route.model.calculateCost(tokenCount, responseTokens)
+      };
+    }));
+
+    return _.sortBy(routes.filter(route => route.fits), 'estimatedCost');
+  }
+
+  //results say which model produced them; `fallbacks` lists the candidates that failed before it and
+  //what each spent, which is included in the totals
+  async callRoutes(data={}, retries, retryDelay) {
+    return tracer.span('prompt.route', {
+      'llmade.models': this.routing.models.join(',')
+    , 'llmade.tag': data.tag || this.tag
+    }, async (span) => {
+      const candidates = await this.candidates(data)
+          , fallbacks = [];
+
+      if (!candidates.length) throw new Error(`tokenCount exceeds maxTokens of every model: ${this.routing.models.join(', ')}`);
+
+      const withFallbacks = (result={}) => _.extend({}, result, {
+        tokensSent: _.sumBy(fallbacks, 'tokensSent') + (result.tokensSent || 0)
+      , tokensReceived: _.sumBy(fallbacks, 'tokensReceived') + (result.tokensReceived || 0)
+      , cost: _.sumBy(fallbacks, 'cost') + (result.cost || 0)
+      });
+
+      for (const [i, { name, route }] of candidates.entries()) {
+        const last = i === candidates.length - 1;
+
+        try {
+          //the last candidate waits out rate limits like any other call
+          const result = withFallbacks(await route.callModel(data, retries, retryDelay, last ? undefined : this.routing.maxPause));
+
+          span.setAttributes({ 'gen_ai.response.model': name, 'llmade.fallbacks': fallbacks.length, 'llmade.cost': result.cost });
+          return _.extend(result, { model: name, fallbacks });
+        } catch (error) {
+          //a long rate limit pause is thrown by callWithRetries as soon as it is seen
+          if ((!isRetryable(error) && !contextOverflow(error)) || last) {
+            error.fallbacks = fallbacks;
+            error.result = withFallbacks(error.result);
+            throw error;
+          }
+
+          fallbacks.push({
+            model: name
+          , error: error.message
+          , tokensSent: error.result?.tokensSent || 0
+          , tokensReceived: error.result?.tokensReceived || 0
+          , cost: error.result?.cost || 0
+          });
+
+          tracer.event('fallback', {
+            'gen_ai.request.model': name
+          , 'llmade.next_model': candidates[i + 1].name
+          , 'llmade.error': error.message
+          });
+        }
+      }
+    });
+  }
+
+  //the retry loop of call, which runs it inside a prompt.call span
+  async callWithRetries(data, retries, retryDelay, signal, maxPause) {
+    const attempts = retries;
+
+    let tokensSent = 0
+      , tokensReceived = 0
+      , cost = 0;
+
+    let promptData = await this.renderPromptData(data);
 
     if (data.dryrun) {
       tokensSent += await this.countTokens(promptData);
@@ -225,51 +632,404 @@ class Prompt {
       };
     }
 
+    const usage = this.usageOptions(data)
+        , totals = { tokensSent, tokensReceived, cost };
+
+    const key = this.cache && await this.cacheKey(promptData)
+        , cached = key && !data.bypassCache && await this.cache.get(key);
+
+    if (cached) {
+      return _.extend({}, cached, {
+        tokensSent: 0
+      , tokensReceived: 0
+      , cost: 0
+      , cached: true
+      });
+    }
+
+    //what was spent before a cancellation or failure
+    const cancelled = (reason) => new CancelledError(reason, _.clone(totals))
+        , failed = (error) => _.extend(error, { result: _.clone(totals) });
+
     while (retries > 0) {
+      if (signal?.aborted) throw cancelled(signal.reason);
+
       try {
-        let response = await this.model.rateLimiter.process(async (reportTokens) => {
-          const rawResponse = await this.chain.call(promptData);
+        this.checkBudget(promptData, usage);
 
-          tokensSent += await this.countTokens(promptData);
-          tokensReceived += await this.model.countTokens(rawResponse.text);
-          cost += this.model.calculateCost(tokensSent, tokensReceived);
+        let response = await this.model.rateLimiter.process((reportTokens) => tracer.span('model.request', {
+          'gen_ai.request.model': this.modelName
+        , 'llmade.attempt': attempts - retries + 1
+        }, async (span) => {
+          tracer.event('request.start', { 'gen_ai.request.model': this.modelName, 'gen_ai.usage.input_tokens': promptData.tokenCount });
 
-          reportTokens(tokensSent + tokensReceived);
+          const rawResponse = await promptData.chain.call(_.extend(_.omit(promptData, ['signal', 'timeout', 'deadline']), this.model.callOptions(), this.parser.callOptions(), signal && { signal }))
+              , sent = totals.tokensSent
+              , received = totals.tokensReceived;
 
-          const parsedResponse = await this.parser.parse(rawResponse.text, this.model.rateLimiter, tokensSent);
+          const response = await this.handleResponse(rawResponse.text, promptData, reportTokens, usage, totals, data.corrections, signal);
 
-          tokensSent += (parsedResponse.tokensSent || 0);
-          tokensReceived += (parsedResponse.tokensReceived || 0);
-          cost += (parsedResponse.cost || 0);
+          tracer.event('request.end', {
+            'gen_ai.request.model': this.modelName
+          , 'gen_ai.usage.input_tokens': totals.tokensSent - sent
+          , 'gen_ai.usage.output_tokens': totals.tokensReceived - received
+          , 'llmade.duration_ms': span.duration()
+          });
 
-          return {
-            response: parsedResponse.data
-          , tokensSent
-          , tokensReceived
-          , cost
-          };
-        });
+          return response;
+        }), signal);
+
+        if (key) await this.cache.set(key, _.pick(response, ['response', 'structuredOutput', 'parserFixed']), this.cacheTTL);
 
         return response;
       } catch (error) {
+        if (signal?.aborted) throw cancelled(signal.reason);
+
+        const pause = this.model.rateLimiter.handleError(error);
+        if (!isRetryable(error)) throw failed(error);
+        if (maxPause !== undefined && pause > maxPause) throw failed(error); //routed calls move on instead
+
         retries--;
-        //console.log(`An error occurred: ${error.message}. Retrying... Remaining attempts: ${retries}`);
-        if (retries === 0) throw error; // if all retries have been used, rethrow the error
-        await Delay(retryDelay);        
+        if (retries === 0) throw failed(error); // if all retries have been used, rethrow the error
+
+        const delay = Math.max(backoffDelay(attempts - retries - 1, retryDelay), pause);
+        tracer.event('retry', {
+          'gen_ai.request.model': this.modelName
+        , 'llmade.attempt': attempts - retries
+        , 'llmade.error': error.message
+        , 'http.response.status_code': error?.response?.status ?? error?.status
+        , 'llmade.delay_ms': delay
+        });
+
+        await Delay(delay, { signal }).catch(() => {}); //an abort ends the wait, and the loop throws
+      }
+    }
+  }
+
+  //runs the prompt over many inputs; failures are kept per item instead of thrown
+  async callMany(inputs=[], {
+    concurrency=5
+  , data={}
+  , pack=false
+  , packKey='items'
+  , packTokens
+  , retries
+  , retryDelay
+  , progress
+  }={}) {
+    const totals = _.extend(usage(), { total: inputs.length, completed: 0, failed: 0 })
+        , results = new Array(inputs.length);
+
+    let stopped = false;
+
+    const settle = async (index, result) => {
+      results[index] = _.extend({ index, input: inputs[index] }, result);
+
+      totals.completed++;
+      if (result.error) totals.failed++;
+
+      if (progress && await progress(_.extend({}, totals, results[index])) === 'stop') stopped = true;
+    };
+
+    const requests = pack
+      ? await this.packInputs(inputs, data, packKey, packTokens)
+      : inputs.map((input, index) => ({ indexes: [index], data: _.extend({}, data, input) }));
+
+    await mapConcurrent(requests, concurrency, async ({ indexes, data: requestData }) => {
+      if (stopped) return indexes.forEach(index => results[index] = { index, input: inputs[index], skipped: true });
+
+      let result;
+      try {
+        result = await this.call(requestData, retries, retryDelay);
+        addUsage(totals, result);
+      } catch (error) {
+        for (const index of indexes) await settle(index, { error });
+        return;
+      }
+
+      if (!pack) return settle(indexes[0], result);
+
+      if (!Array.isArray(result.response) || result.response.length !== indexes.length) {
+        const error = new Error(`Packed response has ${_.size(result.response)} items for ${indexes.length} inputs`);
+        for (const index of indexes) await settle(index, { error });
+        return;
+      }
+
+      //a packed request's usage is split evenly across its inputs
+      for (const [i, index] of indexes.entries()) {
+        await settle(index, {
+          response: result.response[i]
+        , tokensSent: result.tokensSent / indexes.length
+        , tokensReceived: result.tokensReceived / indexes.length
+        , cost: result.cost / indexes.length
+        , packed: indexes.length
+        });
       }
+    });
+
+    return _.extend(totals, { results });
+  }
+
+  //packs inputs as JSON lines into {packKey}, so each line of a request is one input and the
+  //array response maps back by position
+  async packInputs(inputs, data={}, packKey='items', packTokens) {
+    if (!packTokens) {
+      const remainingTokens = await this.countRemainingTokens(_.extend({}, data, { [packKey]: '' }), false, '');
+      packTokens = Math.floor(remainingTokens / 2); //leave the other half for the response
+    }
+
+    const lines = inputs.map(input => JSON.stringify(input ?? null))
+        , chunks = await this.chunksFromArray(lines, packTokens);
+
+    let next = 0;
+
+    return chunks.map(chunk => {
+      const indexes = _.range(next, next + chunk.split('\n').length);
+      next += indexes.length;
+
+      return {
+        indexes
+      , data: _.extend({}, data, { [packKey]: chunk })
+      };
+    });
+  }
+
+  //keyed on what is actually sent: rendered messages, model, model settings and schema
+  async cacheKey(promptData) {
+    const promptValue = await promptData.chain.prompt.formatPromptValue(promptData);
+
+    return hashKey({
+      messages: promptValue.toChatMessages().map(message => ({ role: message._getType(), content: message.content }))
+    , modelName: this.modelName
+    , modelSettings: keySettings(_.extend({}, settingsFor(this.modelName), this.modelSettings))
+    , schema: this.parser.description
+    , structuredOutput: this.parser.mode
+    });
+  }
+
+  usageOptions(data={}) {
+    return {
+      budgets: [this.budget, data.budget]
+    , tag: data.tag || this.tag
+    };
+  }
+
+  //without a responseTokenLength the response may fill the rest of the context, up to the model's maxResponseTokens
+  expectedResponseTokens(promptData, tokensSent) {
+    return promptData.responseTokenLength || Math.min(Math.max(this.model.maxTokens - tokensSent, 0), this.model.maxResponseTokens);
+  }
+
+  //throws BudgetExceededError if the prompt plus its expected response would go over any budget
+  checkBudget(promptData, { budgets }) {
+    const estimatedCost = this.model.calculateCost(promptData.tokenCount, this.expectedResponseTokens(promptData, promptData.tokenCount));
+    this.ledger.check(budgets, estimatedCost);
+  }
+
+  recordUsage(entry, { budgets, tag }) {
+    return this.ledger.record(_.extend({
+      model: this.modelName
+    , tag
+    }, entry), budgets);
+  }
+
+  //accounts for one model response, records it in the ledger and parses it against the schema;
+  //totals carries the counts of failed attempts over into retries
+  async handleResponse(text, promptData, reportTokens, usage, totals, corrections=this.corrections, signal) {
+    const tokensSent = await this.countTokens(promptData) + await this.parser.countSchemaTokens()
+        , tokensReceived = await this.model.countTokens(text)
+        , cost = this.model.calculateCost(tokensSent, tokensReceived);
+
+    totals.tokensSent += tokensSent;
+    totals.tokensReceived += tokensReceived;
+    totals.cost += cost;
+
+    reportTokens(tokensSent + tokensReceived);
+    this.recordUsage({ tokensSent, tokensReceived, cost }, usage);
+
+    const attempts = [{ tokensSent, tokensReceived, cost }];
+    text = await this.correct(text, promptData, usage, totals, attempts, corrections, signal);
+
+    const parsedResponse = await this.parser.parse(text, this.model.rateLimiter, tokensSent, {
+      check: (estimatedCost) => this.ledger.check(usage.budgets, estimatedCost)
+    , bypassCache: promptData.bypassCache
+    });
+
+    if (parsedResponse.parserFixed && !parsedResponse.cached) {
+      totals.tokensSent += (parsedResponse.tokensSent || 0);
+      totals.tokensReceived += (parsedResponse.tokensReceived || 0);
+      totals.cost += (parsedResponse.cost || 0);
+
+      this.recordUsage({
+        model: this.parser.model.modelName
+      , tokensSent: parsedResponse.tokensSent
+      , tokensReceived: parsedResponse.tokensReceived
+      , cost: parsedResponse.cost
+      , parserFixed: true
+      }, usage);
+    }
+
+    return {
+      response: parsedResponse.data
+    , tokensSent: totals.tokensSent
+    , tokensReceived: totals.tokensReceived
+    , cost: totals.cost
+    , structuredOutput: parsedResponse.mode
+    , parserFixed: !!parsedResponse.parserFixed
+    , attempts
+    };
+  }
+
+  //sends a response that is JSON but breaks the schema, e.g. a .refine or an array length, back to the
+  //model with its Zod issues, up to `corrections` times; each attempt keeps its issues and usage.
+  //Whatever still fails afterwards goes to the fixing parser as before
+  async correct(text, promptData, usage, totals, attempts, corrections, signal) {
+    let messages = (await promptData.chain.prompt.formatPromptValue(promptData)).toChatMessages();
+
+    while (true) {
+      const attempt = _.last(attempts);
+      attempt.errors = await this.parser.issues(text) || [];
+
+      if (!attempt.errors.length || attempts.length > corrections) return text;
+
+      messages = [
+        ...messages
+      , new AIMessage(text)
+      , new HumanMessage(`Your response does not match the schema:\n${attempt.errors.map(error => `- ${error.path || '(root)'}: ${error.message}`).join('\n')}\n\nRespond again with the corrected JSON only.`)
+      ];
+
+      const tokensSent = await this.model.countTokens(_.map(messages, 'content').join('\n')) + await this.parser.countSchemaTokens();
+      this.ledger.check(usage.budgets, this.model.calculateCost(tokensSent, this.expectedResponseTokens(promptData, tokensSent)));
+
+      const result = await this.model.rateLimiter.process(async (reportTokens) => {
+        const message = await this.model.llm.call(messages, _.extend({}, this.model.callOptions(), this.parser.callOptions(), signal && { signal }))
+            , text = message.additional_kwargs?.function_call?.arguments || message.content
+            , tokensReceived = await this.model.countTokens(text)
+            , cost = this.model.calculateCost(tokensSent, tokensReceived);
+
+        reportTokens(tokensSent + tokensReceived);
+
+        return { text, tokensSent, tokensReceived, cost };
+      }, signal);
+
+      totals.tokensSent += result.tokensSent;
+      totals.tokensReceived += result.tokensReceived;
+      totals.cost += result.cost;
+
+      this.recordUsage({
+        tokensSent: result.tokensSent
+      , tokensReceived: result.tokensReceived
+      , cost: result.cost
+      , corrected: true
+      }, usage);
+
+      tracer.event('correction', {
+        'gen_ai.request.model': this.modelName
+      , 'llmade.attempt': attempts.length + 1
+      , 'llmade.issues': attempt.errors.length
+      , 'gen_ai.usage.input_tokens': result.tokensSent
+      , 'gen_ai.usage.output_tokens': result.tokensReceived
+      , 'llmade.cost': result.cost
+      });
+
+      text = result.text;
+      attempts.push(_.omit(result, 'text'));
     }
   }
 
+  //yields {type: 'delta', delta, text, partial} as tokens arrive, then {type: 'done'} with the
+  //validated response and the same accounting as call; streams are not retried. Leaving the loop
+  //early aborts the request, and the tokens received until then are recorded in the ledger
+  stream(data={}) {
+    const controller = new AbortController()
+        , queue = new AsyncQueue(() => controller.abort())
+        , signal = AbortSignal.any(_.compact([abortSignal(data), controller.signal]));
+
+    this.streamInto(_.extend(_.omit(data, ['timeout', 'deadline']), { signal }), event => queue.push(event))
+      .then(() => queue.end(), error => queue.fail(error));
+
+    return queue;
+  }
+
+  async streamInto(data, emit) {
+    const promptData = await this.renderPromptData(data)
+        , schema = this.schema && partialSchema(this.schema)
+        , usage = this.usageOptions(data)
+        , signal = abortSignal(data);
+
+    this.checkBudget(promptData, usage);
+
+    const result = await this.model.rateLimiter.process(async (reportTokens) => {
+      const promptValue = await promptData.chain.prompt.formatPromptValue(promptData);
+
+      let text = ''
+        , partial;
+
+      const stream = await this.model.llm.stream(promptValue.toChatMessages(), _.extend({}, this.parser.callOptions(), signal && { signal }))
+        .catch(error => {
+          this.model.rateLimiter.handleError(error);
+          throw error;
+        });
+
+      try {
+        for await (const chunk of stream) {
+          const delta = chunk.content || chunk.additional_kwargs?.function_call?.arguments || '';
+          if (!delta) continue;
+
+          text += delta;
+
+          const parsed = schema?.safeParse(this.parser.partial(text));
+          if (parsed?.success) partial = parsed.data;
+
+          emit({
+            type: 'delta'
+          , delta
+          , text
+          , partial
+          });
+        }
+      } catch (error) {
+        //the tokens streamed before an abort are still billed
+        if (signal?.aborted) {
+          const tokensSent = await this.countTokens(promptData) + await this.parser.countSchemaTokens()
+              , tokensReceived = await this.model.countTokens(text)
+              , cost = this.model.calculateCost(tokensSent, tokensReceived);
+
+          reportTokens(tokensSent + tokensReceived);
+          this.recordUsage({ tokensSent, tokensReceived, cost }, usage);
+          error.result = { tokensSent, tokensReceived, cost };
+        }
+        throw error;
+      }
+
+      const response = await this.handleResponse(text, promptData, reportTokens, usage, {
+        tokensSent: 0
+      , tokensReceived: 0
+      , cost: 0
+      }, data.corrections, signal);
+
+      return _.extend({ type: 'done', text }, response);
+    }, signal).catch(error => {
+      throw signal?.aborted ? new CancelledError(signal.reason, error.result) : error;
+    });
+
+    emit(result);
+  }
+
+  //fills missing variables with a placeholder for token estimates; calls check their variables first
   promptData(data={}, fillString='xxx') {
-    let promptData = _.extend(this.promptTemplate.inputVariables.reduce((obj, str) => ({ ...obj, [str]: fillString }), {}), this, data);
-    this.setMessages(this.messageText, promptData);
-    promptData = _.extend(this.promptTemplate.inputVariables.reduce((obj, str) => ({ ...obj, [str]: fillString }), {}), this, data);
-    return promptData;
+    return this.fillPromptData(data, fillString).promptData;
+  }
+
+  fillPromptData(data={}, fillString='xxx') {
+    const fill = (template) => _.extend(template.inputVariables.reduce((obj, str) => ({ ...obj, [str]: fillString }), {}), this.defaults, this, data)
+        , promptTemplate = this.renderTemplate(fill(this.promptTemplate));
+
+    return { promptTemplate, promptData: fill(promptTemplate) };
   }
 
   async countTokens(data, debug, fillString) {
-    let promptData = this.promptData(data, fillString);
-    const prompt = await this.chain.prompt.formatPromptValue(promptData);
+    const { promptTemplate, promptData } = this.fillPromptData(data, fillString)
+        , prompt = await this.chainFor(promptTemplate).prompt.formatPromptValue(promptData);
     const tokenCount = await this.model.countTokens(_.map(prompt.messages, 'text').join('\n'), debug);
     return tokenCount;
   }
@@ -314,37 +1074,119 @@ class Prompt {
   }
 }
 
-class TextSplitter {
-  constructor({
-    chunkSize
-  , chunkOverlap
-  , bufferPercentage
-  , model
-  , splitter=TokenTextSplitter
-  }) {
-    this.setSplitter({
-      chunkSize
-    , chunkOverlap
-    , bufferPercentage
-    , splitter
-    });
+//heading patterns for the formats that have them, so excerpts can carry their heading path
+const headingPatterns = {
+  markdown: /^(#{1,6})[ \t]+(.+?)[ \t#]*$/gm
+, html: /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi
+};
+
+function findHeadings(text, language) {
+  const pattern = headingPatterns[language];
+  if (!pattern) return [];
+
+  //markdown headings inside fenced code blocks are comments, not headings
+  const fences = language === 'markdown' ? [...text.matchAll(/^```[\s\S]*?^```/gm)].map(m => [m.index, m.index + m[0].length]) : [];
+
+  return [...text.matchAll(pattern)]
+    .filter(m => !fences.some(([start, end]) => m.index > start && m.index < end))
+    .map(m => ({
+      index: m.index
+    , level: language === 'markdown' ? m[1].length : parseInt(m[1])
+    , title: m[2].replace(/<[^>]+>/g, '').trim()
+    }));
+}
+
+//titles of the headings enclosing a position, outermost first
+function headingPath(headings, index) {
+  let path = [];
+
+  for (const heading of headings) {
+    if (heading.index > index) break;
+    path = path.filter(h => h.level < heading.level).concat(heading);
+  }
+
+  return _.map(path, 'title');
+}
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+//where excerpt sits in text, at or after `from`. Splitters don't always return the source verbatim:
+//re-joined separators can change whitespace, and a token cut inside a multibyte character decodes
+//to U+FFFD, so those parts match loosely and a cut character counts as part of the excerpt
+const locateExcerpt = (text, excerpt, from) => {
+  const exact = text.indexOf(excerpt, from);
+  if (exact >= 0) return { start: exact, end: exact + excerpt.length };
+
+  const [, head, body, tail] = excerpt.match(/^(\uFFFD*)([^]*?)(\uFFFD*)$/)
+      , pattern = body.split(/(\s+|\uFFFD+)/).map(part => /^\s+$/.test(part) ? '\\s*' : part[0] === '\uFFFD' ? '[^]+?' : _.escapeRegExp(part)).join('')
+      , regex = new RegExp(pattern, 'g');
+
+  regex.lastIndex = from;
+  const match = regex.exec(text);
+  if (!match) return {};
+
+  let start = match.index
+    , end = match.index + match[0].length;
+
+  if (head && start > 0) start -= /[\uDC00-\uDFFF]/.test(text[start - 1]) && start > 1 ? 2 : 1;
+  if (tail && end < text.length) end += /[\uD800-\uDBFF]/.test(text[end]) ? 2 : 1;
+
+  return { start, end };
+};
 
+class TextSplitter {
+  constructor({
+    chunkSize
+  , chunkOverlap
+  , bufferPercentage
+  , model
+  , splitter=TokenSplitter
+  , language
+  }) {
     this.model = typeof model !== 'string' ? model : models[model];
+
+    this.setSplitter({
+      chunkSize
+    , chunkOverlap
+    , bufferPercentage
+    , splitter
+    , language
+    });
   }
 
+  //`language` splits on the structure of markdown, html, code (any of SupportedTextSplitterLanguages)
+  //or paragraphs of plain 'text', measuring chunks in tokens
   setSplitter({
     chunkSize,
     chunkOverlap=0,
     bufferPercentage=1.0,
-    splitter=TokenTextSplitter
+    splitter=TokenSplitter,
+    language,
   }) {
     this.chunkSize = Math.floor(chunkSize * bufferPercentage);
     this.chunkOverlap = chunkOverlap;
+    this.language = language;
 
-    this.splitter = new splitter({
+    if (!language) {
+      this.splitter = new splitter({
+        chunkSize: this.chunkSize,
+        chunkOverlap: this.chunkOverlap,
+        tokenizer: this.model?.tokenizer,
+      });
+      return;
+    }
+
+    if (language !== 'text' && !SupportedTextSplitterLanguages.includes(language)) throw new Error(`Unsupported language: ${language}`);
+
+    const options = {
       chunkSize: this.chunkSize,
-      chunkOverlap: this.chunkOverlap
-    });
+      chunkOverlap: this.chunkOverlap,
+      lengthFunction: this.model ? (text) => this.model.countTokens(text) : undefined,
+    };
+
+    this.splitter = language === 'text'
+      ? new RecursiveCharacterTextSplitter(options)
+      : RecursiveCharacterTextSplitter.fromLanguage(language, options);
   }
 
   async splitText(text, debug) {
@@ -357,14 +1199,30 @@ class TextSplitter {
 
     totalTextTokenLength += this.splitter.chunkOverlap * chunks.length;
 
-    const excerpts = [];
-    for (const excerpt of chunks) {
-      const excerptTokenLength = await this.model.countTokens(excerpt);
+    const headings = findHeadings(text, this.language);
+
+    const excerpts = []
+        , tokenLengths = await this.model.countTokensMany(chunks);
+
+    let searchFrom = 0;
+    for (const [i, excerpt] of chunks.entries()) {
+      const excerptTokenLength = tokenLengths[i];
+
+      //excerpts are located in order; overlapping ones start before the previous one ends
+      const { start, end } = locateExcerpt(text, excerpt, searchFrom)
+          , found = start !== undefined;
+
+      if (found) searchFrom = this.splitter.chunkOverlap ? start + 1 : end;
 
       excerpts.push({
         excerpt,
         excerptTokenLength,
-        excerptPercentageLength: Math.round(excerptTokenLength / totalTextTokenLength * 100)
+        excerptPercentageLength: Math.round(excerptTokenLength / totalTextTokenLength * 100),
+        excerptStart: start,
+        excerptEnd: end,
+        excerptStartLine: found ? lineAt(text, start) : undefined,
+        excerptEndLine: found ? lineAt(text, end) : undefined,
+        excerptHeadings: found ? headingPath(headings, start) : [],
       });
     }
 
@@ -375,35 +1233,122 @@ class TextSplitter {
   }
 }
 
+const usage = () => ({
+  calls: 0
+, failed: 0
+, tokensSent: 0
+, tokensReceived: 0
+, cost: 0
+});
+
+const addUsage = (total, data={}) => {
+  total.calls++;
+  total.tokensSent += (data.tokensSent || 0);
+  total.tokensReceived += (data.tokensReceived || 0);
+  total.cost += (data.cost || 0);
+  return total;
+};
+
+const documentSystemMessage = {
+  role: 'system'
+, content: `<% if (typeof systemInstructions !== 'undefined') { %>
+{systemInstructions}
+
+<% } %>
+{formatInstructions}`
+};
+
+const documentMapMessage = `You are generating a {responseTokenLength} token response based on {documentDescription} that is {totalTextTokenLength} tokens long in total.
+
+You will only see one excerpt of the text. This is excerpt {excerptCount} of {totalExcerptCount}, with {excerptTokenLength} tokens of text. It represents {excerptPercentageLength}% of the text:
+---------
+{excerpt}
+---------
+
+{instructions}`;
+
+const documentReduceMessage = `You are generating a {responseTokenLength} token response based on {documentDescription} that is {totalTextTokenLength} tokens long in total.
+
+The text was split into excerpts and a response was generated for each excerpt separately. These are {responseCount} of those responses, one per line:
+=========
+{responses}
+=========
+
+Combine them into a single response that covers all of the text they were generated from.
+
+{instructions}`;
+
+const documentQueryMessage = `You are answering a query about {documentDescription}.
+
+These are the {excerptCount} excerpts of the text most relevant to the query, in the order they appear in the text:
+---------
+{excerpts}
+---------
+
+Query: {query}
+
+{instructions}`;
+
+const citationInstructions = `Each excerpt starts with its ID in square brackets, like [E1]. In citations, list the excerpts your response is based on: the excerpt ID, the claim it supports and a short quote copied word for word from that excerpt. Keep the citations of any responses you are given.`;
+
+//the caller's schema becomes the response field, next to the citations supporting it
+const citationSchema = (schema) => Z.object({
+  response: schema,
+  citations: Z.array(Z.object({
+    excerptId: Z.string().describe('ID of the cited excerpt, like E1'),
+    claim: Z.string().describe('the part of the response the excerpt supports'),
+    quote: Z.string().describe('short passage copied word for word from the excerpt'),
+  })),
+});
+
+//finds a quote in an excerpt, ignoring differences in whitespace
+function findQuote(text, quote='') {
+  const words = quote.trim().split(/\s+/).filter(w => w);
+  if (!words.length) return;
+
+  const match = new RegExp(words.map(_.escapeRegExp).join('\\s+')).exec(text);
+  if (match) return { index: match.index, length: match[0].length };
+}
+
 class DocumentPrompt {
   constructor({
     model,
+    modelSettings,
     responseTokenLength,
     schema,
     systemInstructions,
     instructions,
     documentDescription,
-    noReduce
+    noReduce,
+    strategy='refine',
+    concurrency,
+    budget,
+    tag,
+    language,
+    citations=false,
   }) {
     this.model = model;
     this.schema = schema;
 
+    if (citations) instructions = `${instructions}\n\n${citationInstructions}`;
+
     this.systemInstructions = systemInstructions;
     this.instructions = instructions;
+    this.citations = citations;
     this.documentDescription = documentDescription;
 
     this.responseTokenLength = responseTokenLength;
 
+    this.strategy = strategy;
+    this.concurrency = concurrency;
+    this.language = language;
+
+    this.budget = budget; //cap for each run; a Budget instance is shared across runs
+    this.tag = tag;
+
     this.prompt = new Prompt({
       messages: [
-        {
-          role: 'system'
-        , content: `<% if (typeof systemInstructions === 'undefined') { %>
-{systemInstructions}
-
-<% } %>
-{formatInstructions}`
-        },
+        documentSystemMessage,
         noReduce ? instructions : `You are generating a {responseTokenLength} token response based on {documentDescription} that is {totalTextTokenLength} tokens long in total. 
 
 <% if (typeof response === 'undefined') { %>
@@ -431,7 +1376,22 @@ Your response so far (based on the first {currentPercentageLength}% of the text)
 {instructions}`
       ],
       model: this.model,
-      schema: this.schema,
+      modelSettings,
+      schema: citations ? citationSchema(this.schema) : this.schema,
+    });
+
+    this.mapPrompt = new Prompt({
+      messages: [documentSystemMessage, documentMapMessage],
+      model: this.model,
+      modelSettings,
+      schema: citations ? citationSchema(this.schema) : this.schema,
+    });
+
+    this.reducePrompt = new Prompt({
+      messages: [documentSystemMessage, documentReduceMessage],
+      model: this.model,
+      modelSettings,
+      schema: citations ? citationSchema(this.schema) : this.schema,
     });
 
     this.maxTokens = this.prompt.model.maxTokens;    
@@ -441,6 +1401,8 @@ Your response so far (based on the first {currentPercentageLength}% of the text)
     chunkSize,
     chunkOverlap=0,
     bufferPercentage=0.95,
+    splitter,
+    language=this.language,
   }) {
     this.remainingTokens = await this.prompt.countRemainingTokens({}, false, '999999');
     this.remainingTokens -= Math.ceil(this.responseTokenLength * 2);
@@ -452,37 +1414,89 @@ Your response so far (based on the first {currentPercentageLength}% of the text)
     this.splitter = new TextSplitter({
       chunkSize: this.chunkSize,
       chunkOverlap: this.chunkOverlap,
-      model: this.prompt.model
+      model: this.prompt.model,
+      splitter,
+      language,
     });
   }
 
+  //each run is a document.run span, with the prompt calls of every excerpt nested in it.
+  //settings.signal, timeout (ms) and deadline stop the run with a CancelledError whose result
+  //holds the response and usage so far
   async call(text, settings={}) {
+    const signal = abortSignal(settings);
+    if (signal) settings = _.extend(_.omit(settings, ['timeout', 'deadline']), { signal }); //one timeout for the whole run
+
+    return tracer.span('document.run', {
+      'gen_ai.request.model': this.prompt.modelName
+    , 'llmade.strategy': settings.strategy || this.strategy
+    , 'llmade.tag': settings.tag || this.tag
+    }, async (span) => {
+      const result = await this.runStrategy(text, settings, span);
+
+      span.setAttributes({
+        'gen_ai.usage.input_tokens': result.tokensSent
+      , 'gen_ai.usage.output_tokens': result.tokensReceived
+      , 'llmade.cost': result.cost
+      });
+
+      return result;
+    });
+  }
+
+  async runStrategy(text, settings, span) {
+    if (typeof text !== 'string' && text?.text !== undefined) text = text.text; //AudioTranscriber transcripts
+
     if (!this.splitter) await this.setTextSplitter(settings);
 
+    settings = _.extend({}, settings, { budget: Budget.from(settings.budget ?? this.budget) });
+
     let {
       excerpts,
       totalTextTokenLength,
     } = await this.splitter.splitText(text);
 
-    let count = 0
-      , tokensSent = 0
-      , tokensReceived = 0
-      , cost = 0
-      , response
-      , responses = []
-      , currentTokenCount = 0;
+    const sources = excerpts;
+    if (this.citations) excerpts = this.labelExcerpts(excerpts);
+
+    span.setAttributes({ 'llmade.excerpts': excerpts.length, 'llmade.text_tokens': totalTextTokenLength });
+
+    const strategy = settings.strategy || this.strategy;
+    if (!['refine', 'map_reduce', 'tree'].includes(strategy)) throw new Error(`Invalid strategy: ${strategy}`);
+
+    const checkpoint = !settings.dryrun && resolveCheckpoint(settings.checkpoint)
+        , state = checkpoint && await this.loadCheckpoint(checkpoint, text, strategy);
 
-    for (const excerpt of excerpts) {
+    if (strategy !== 'refine') {
+      const result = await this.mapReduce(excerpts, totalTextTokenLength, settings, strategy, checkpoint, state);
+
+      //failed map calls stay in the checkpoint so the next call retries only them
+      if (checkpoint && !result.failed.length) await checkpoint.clear();
+      return this.resolveCitations(result, sources);
+    }
+
+    let {
+      excerptIndex=0
+    , count=0
+    , tokensSent=0
+    , tokensReceived=0
+    , cost=0
+    , response
+    , responses=[]
+    , currentTokenCount=0
+    } = state || {};
+
+    let stopped = false;
+
+    for (const excerpt of excerpts.slice(excerptIndex)) {
       try {
+        if (settings.signal?.aborted) throw new CancelledError(settings.signal.reason);
+
         const currentPercentageLength = Math.round(currentTokenCount / totalTextTokenLength * 100);
 
         count++;
 
-        const args = _.extend({}, _.omit(this, [
-          'prompt'
-        , 'schema'
-        , 'splitter'
-        ]), settings, excerpt, {
+        const args = _.extend({}, this.promptArgs(), settings, excerpt, {
           totalTextTokenLength,
           currentTokenCount,
           currentPercentageLength,
@@ -509,6 +1523,25 @@ Your response so far (based on the first {currentPercentageLength}% of the text)
         //cost = parseFloat(cost.toFixed(2));
         currentTokenCount += excerpt.excerptTokenLength;
 
+        tracer.event('excerpt.processed', {
+          'llmade.excerpt': count
+        , 'llmade.excerpt_tokens': excerpt.excerptTokenLength
+        , 'llmade.cost': cost
+        });
+
+        if (checkpoint) {
+          await checkpoint.save(_.extend({}, state, {
+            excerptIndex: count
+          , count
+          , tokensSent
+          , tokensReceived
+          , cost
+          , response
+          , responses
+          , currentTokenCount
+          }));
+        }
+
         if (settings?.progress) {
           let progressResponse = await settings.progress(_.extend({}, args, {
             cost
@@ -517,21 +1550,611 @@ Your response so far (based on the first {currentPercentageLength}% of the text)
           , response
           , count
           }));
-          if (progressResponse === 'stop') break;
+          if (progressResponse === 'stop') {
+            stopped = true;
+            break;
+          }
         }
 
       } catch (e) {
-        console.log(e);
+        if (e instanceof BudgetExceededError || e instanceof CancelledError) {
+          //a cancelled call may have paid for attempts before it stopped
+          tokensSent += e.result?.tokensSent || 0;
+          tokensReceived += e.result?.tokensReceived || 0;
+          cost += e.result?.cost || 0;
+
+          e.result = this.resolveCitations({ response, cost, tokensSent, tokensReceived, responses, strategy }, sources);
+          throw e;
+        }
+
+        tracer.event('excerpt.failed', { 'llmade.excerpt': count, 'llmade.error': e.message });
       }
     }
 
-    return {
+    //a finished run doesn't resume, so a later call with the same checkpoint starts over
+    if (checkpoint && !stopped) await checkpoint.clear();
+
+    return this.resolveCitations({
       response
     , cost
     , tokensSent
     , tokensReceived
     , responses
+    , strategy
+    }, sources);
+  }
+
+  //a checkpoint only resumes the run it was saved for: same text, strategy, splitting, prompts and model
+  async loadCheckpoint(checkpoint, text, strategy) {
+    const hash = hashKey({
+      text
+    , strategy
+    , chunkSize: this.splitter.chunkSize
+    , chunkOverlap: this.splitter.chunkOverlap
+    , language: this.splitter.language
+    , systemInstructions: this.systemInstructions
+    , instructions: this.instructions
+    , documentDescription: this.documentDescription
+    , responseTokenLength: this.responseTokenLength
+    , schema: this.prompt.parser.description
+    , model: this.prompt.modelName
+    , modelSettings: keySettings(this.prompt.modelSettings)
+    });
+
+    const state = await checkpoint.load();
+    if (state && state.hash !== hash) throw new CheckpointMismatchError(hash, state.hash);
+
+    return state || { version: 1, hash, strategy };
+  }
+
+  //excerpt IDs are their position in the document, E1 onwards
+  labelExcerpts(excerpts) {
+    return excerpts.map((excerpt, i) => {
+      const excerptId = `E${i + 1}`
+          , position = excerpt.excerptStart === undefined ? '' : `, characters ${excerpt.excerptStart}-${excerpt.excerptEnd}, lines ${excerpt.excerptStartLine}-${excerpt.excerptEndLine}`;
+
+      return _.extend({}, excerpt, {
+        excerptId,
+        excerpt: `[${excerptId}${position}]\n${excerpt.excerpt}`,
+      });
+    });
+  }
+
+  //unwraps the response and resolves each cited excerpt ID to its span of the source; quotes
+  //that can't be found in the cited excerpt are flagged as unverified
+  resolveCitations(result, excerpts) {
+    if (!this.citations) return result;
+
+    const citations = {}
+        , unverifiedQuotes = [];
+
+    for (const { excerptId, claim, quote } of result.response?.citations || []) {
+      const index = parseInt(`${excerptId}`.replace(/^E/i, '')) - 1
+          , excerpt = excerpts[index];
+
+      if (!citations[excerptId]) {
+        citations[excerptId] = excerpt ? {
+          excerptId,
+          start: excerpt.excerptStart,
+          end: excerpt.excerptEnd,
+          startLine: excerpt.excerptStartLine,
+          endLine: excerpt.excerptEndLine,
+          headings: excerpt.excerptHeadings,
+          text: excerpt.excerpt,
+          quotes: [],
+        } : { excerptId, missing: true, quotes: [] };
+      }
+
+      const found = excerpt && findQuote(excerpt.excerpt, quote)
+          , start = found && excerpt.excerptStart !== undefined ? excerpt.excerptStart + found.index : undefined;
+
+      const cited = {
+        claim,
+        quote,
+        verified: !!found,
+        start,
+        end: start === undefined ? undefined : start + found.length,
+      };
+
+      citations[excerptId].quotes.push(cited);
+      if (!cited.verified) unverifiedQuotes.push(_.extend({ excerptId }, cited));
+    }
+
+    return _.extend({}, result, {
+      response: result.response?.response,
+      citations,
+      unverifiedQuotes,
+    });
+  }
+
+  promptArgs() {
+    return _.omit(this, [
+      'prompt'
+    , 'mapPrompt'
+    , 'reducePrompt'
+    , 'schema'
+    , 'splitter'
+    , 'budget'
+    ]);
+  }
+
+  //map runs every excerpt independently; reduce combines the map responses, in one call for
+  //map_reduce or level by level for tree when they don't fit in one context
+  //with a checkpoint, finished map calls are saved as they complete and skipped on resume;
+  //the reduce phase is short and always reruns
+  async mapReduce(excerpts, totalTextTokenLength, settings={}, strategy='map_reduce', checkpoint, state={}) {
+    const concurrency = settings.concurrency || this.concurrency
+        , phases = { map: usage(), reduce: usage() }
+        , reduceResponses = []
+        , failed = []
+        , mapped = []
+        , mappedSoFar = state.mapped || [];
+
+    let saving = Promise.resolve()
+      , stopped = false;
+
+    //a failed call may have paid for attempts before it gave up
+    const spent = (phase, e) => {
+      phase.tokensSent += e.result?.tokensSent || 0;
+      phase.tokensReceived += e.result?.tokensReceived || 0;
+      phase.cost += e.result?.cost || 0;
+    };
+
+    //budgets, cancellations and reduce failures end the run: no more calls are started, and the error
+    //leaves with the responses and usage so far
+    const fatal = (phase) => (e) => {
+      stopped = true;
+      spent(phase, e);
+
+      e.result = {
+        responses: _.compact(mapped)
+      , cost: phases.map.cost + phases.reduce.cost
+      , tokensSent: phases.map.tokensSent + phases.reduce.tokensSent
+      , tokensReceived: phases.map.tokensReceived + phases.reduce.tokensReceived
+      , phases
+      , strategy
+      };
+      throw e;
+    };
+
+    const base = _.extend({}, this.promptArgs(), settings, {
+      totalTextTokenLength,
+      totalExcerptCount: excerpts.length,
+    });
+
+    await mapConcurrent(excerpts, concurrency, async (excerpt, i) => {
+      if (stopped) return;
+
+      const args = _.extend({}, base, excerpt, { excerptCount: i + 1 })
+          , resumed = !!mappedSoFar[i];
+
+      try {
+        if (settings.signal?.aborted) throw new CancelledError(settings.signal.reason);
+
+        let data;
+        if (resumed) {
+          data = mappedSoFar[i];
+        } else if (settings.dryrun) {
+          data = { tokensSent: await this.mapPrompt.countTokens(args), tokensReceived: this.responseTokenLength };
+          data.cost = this.mapPrompt.model.calculateCost(data.tokensSent, data.tokensReceived);
+        } else {
+          data = await this.mapPrompt.call(args);
+
+          if (checkpoint) {
+            mappedSoFar[i] = data;
+            saving = saving.then(() => checkpoint.save(_.extend({}, state, { mapped: mappedSoFar })));
+            await saving;
+          }
+        }
+
+        addUsage(phases.map, data);
+
+        tracer.event('excerpt.processed', {
+          'llmade.excerpt': i + 1
+        , 'llmade.excerpt_tokens': excerpt.excerptTokenLength
+        , 'llmade.cost': data.cost
+        , 'llmade.resumed': resumed
+        });
+
+        mapped[i] = data;
+
+        if (settings.progress) await settings.progress(_.extend({}, args, data, { phase: 'map' }));
+      } catch (e) {
+        if (e instanceof CancelledError || e instanceof BudgetExceededError) fatal(phases.map)(e);
+
+        //the reduce step goes on without it, and the result lists what is missing
+        spent(phases.map, e);
+        phases.map.failed++;
+        failed.push({ index: i, error: e.message });
+        tracer.event('excerpt.failed', { 'llmade.excerpt': i + 1, 'llmade.error': e.message });
+      }
+    });
+
+    const responses = _.compact(mapped);
+
+    if (settings.dryrun) {
+      const tokensSent = await this.reducePrompt.countTokens(base) + (responses.length * this.responseTokenLength);
+      addUsage(phases.reduce, {
+        tokensSent
+      , tokensReceived: this.responseTokenLength
+      , cost: this.reducePrompt.model.calculateCost(tokensSent, this.responseTokenLength)
+      });
+    }
+
+    let partials = settings.dryrun ? [] : _.map(responses, 'response')
+      , level = 0;
+
+    while (partials.length > 1) {
+      level++;
+
+      const remainingTokens = await this.reducePrompt.countRemainingTokens(base, false, '') - Math.ceil(this.responseTokenLength * 2)
+          , groups = await this.reducePrompt.chunksFromArray(partials.map(p => JSON.stringify(p)), remainingTokens);
+
+      if (groups.length > 1 && strategy !== 'tree') fatal(phases.reduce)(new Error('map responses exceed maxTokens, use the tree strategy'));
+      if (groups.length === partials.length) fatal(phases.reduce)(new Error('map responses are too long to combine'));
+
+      partials = await mapConcurrent(groups, concurrency, async (group) => {
+        if (stopped) return;
+
+        const args = _.extend({}, base, {
+          responses: group,
+          responseCount: group.split('\n').length,
+          level,
+        });
+
+        const data = await this.reducePrompt.call(args).catch(fatal(phases.reduce));
+
+        addUsage(phases.reduce, data);
+        reduceResponses.push(data);
+
+        if (settings.progress) await settings.progress(_.extend({}, args, data, { phase: 'reduce' }));
+
+        return data.response;
+      });
+    }
+
+    return {
+      response: partials[0]
+    , cost: phases.map.cost + phases.reduce.cost
+    , tokensSent: phases.map.tokensSent + phases.reduce.tokensSent
+    , tokensReceived: phases.map.tokensReceived + phases.reduce.tokensReceived
+    , responses
+    , reduceResponses
+    , failed: _.sortBy(failed, 'index')
+    , phases
+    , strategy
+    };
+  }
+}
+
+//answers a query from the excerpts closest to it instead of sending the whole document. Excerpts are
+//embedded once into the index, so later runs over the same text only embed the query
+class QueryDocumentPrompt {
+  constructor({
+    model,
+    modelSettings,
+    schema,
+    systemInstructions,
+    instructions='Answer the query using only the excerpts.',
+    documentDescription='a document',
+    embeddings,
+    index,
+    topK=5,
+    chunkSize=500,
+    chunkOverlap=50,
+    language,
+    budget,
+    tag,
+  }) {
+    this.schema = schema;
+    this.systemInstructions = systemInstructions;
+    this.instructions = instructions;
+    this.documentDescription = documentDescription;
+    this.topK = topK;
+
+    this.budget = budget; //cap for each run; a Budget instance is shared across runs
+    this.tag = tag;
+
+    //a model name, Embedder options or an Embedder; an index path or a VectorIndex
+    this.embedder = embeddings instanceof Embedder ? embeddings : new Embedder(typeof embeddings === 'string' ? { model: embeddings } : embeddings);
+    this.index = index instanceof VectorIndex ? index : new VectorIndex(index);
+
+    this.prompt = new Prompt({
+      messages: [documentSystemMessage, documentQueryMessage],
+      model,
+      modelSettings,
+      schema,
+    });
+
+    this.splitter = new TextSplitter({
+      chunkSize,
+      chunkOverlap,
+      language,
+      model: this.prompt.model,
+    });
+  }
+
+  //splits and embeds a document into the index unless an earlier run already did; returns its excerpts
+  async addDocument(text, settings={}) {
+    const hash = hashKey({
+      text
+    , embedder: this.embedder.id
+    , chunkSize: this.splitter.chunkSize
+    , chunkOverlap: this.splitter.chunkOverlap
+    , language: this.splitter.language
+    });
+
+    const stored = (excerpts) => excerpts.map(excerpt => _.extend({ excerpt: this.index.entries[excerpt.key].text }, excerpt));
+
+    if (this.index.documents[hash]) return { excerpts: stored(this.index.documents[hash].excerpts), tokens: 0, cost: 0, embedded: 0 };
+
+    const { excerpts } = await this.splitter.splitText(text)
+        , keys = excerpts.map(excerpt => this.index.key(this.embedder, excerpt.excerpt))
+        , missing = _.uniqBy(excerpts.filter((excerpt, i) => !this.index.has(keys[i])), 'excerpt');
+
+    if (settings.dryrun) {
+      const tokens = await this.embedder.countTokens(_.map(missing, 'excerpt'));
+      return { excerpts, tokens, cost: this.embedder.calculateCost(tokens), embedded: missing.length };
+    }
+
+    const { vectors, tokens, cost } = await this.embedder.embed(_.map(missing, 'excerpt'), settings);
+    missing.forEach((excerpt, i) => this.index.add(this.index.key(this.embedder, excerpt.excerpt), excerpt.excerpt, vectors[i], this.embedder));
+
+    //the text of each excerpt is only kept in its entry
+    this.index.documents[hash] = {
+      excerpts: excerpts.map((excerpt, i) => _.extend({ key: keys[i] }, _.omit(excerpt, 'excerpt')))
     };
+
+    await this.index.save();
+
+    return { excerpts: stored(this.index.documents[hash].excerpts), tokens, cost, embedded: missing.length };
+  }
+
+  //without text the query runs against every excerpt in the index
+  async call(text, settings={}) {
+    const signal = abortSignal(settings);
+    if (signal) settings = _.extend(_.omit(settings, ['timeout', 'deadline']), { signal });
+
+    return tracer.span('document.query', {
+      'gen_ai.request.model': this.prompt.modelName
+    , 'llmade.tag': settings.tag || this.tag
+    }, async (span) => {
+      const result = await this.runQuery(text, settings);
+
+      span.setAttributes({
+        'gen_ai.usage.input_tokens': result.tokensSent
+      , 'gen_ai.usage.output_tokens': result.tokensReceived
+      , 'llmade.cost': result.cost
+      , 'llmade.excerpts': result.excerpts.length
+      });
+
+      return result;
+    });
+  }
+
+  async runQuery(text, settings) {
+    if (typeof text !== 'string' && text?.text !== undefined) text = text.text; //AudioTranscriber transcripts
+    if (!settings.query) throw new Error('QueryDocumentPrompt.call needs a query');
+
+    settings = _.extend({ tag: this.tag }, settings, { budget: Budget.from(settings.budget ?? this.budget) });
+
+    const topK = settings.topK || this.topK
+        , document = text ? await this.addDocument(text, settings) : { excerpts: [], tokens: 0, cost: 0, embedded: 0 };
+
+    let embedding = {
+      tokens: document.tokens
+    , cost: document.cost
+    , embedded: document.embedded
+    , reused: document.excerpts.length - document.embedded
+    };
+
+    //estimates use the first topK excerpts as the retrieved ones
+    if (settings.dryrun) {
+      const queryTokens = await this.embedder.countTokens([settings.query])
+          , excerpts = text ? document.excerpts.slice(0, topK) : [];
+
+      embedding = _.extend(embedding, {
+        tokens: embedding.tokens + queryTokens
+      , cost: embedding.cost + this.embedder.calculateCost(queryTokens)
+      });
+
+      const estimate = await this.prompt.call(_.extend({}, this.promptArgs(excerpts, settings.query), { dryrun: true }));
+
+      return {
+        tokensSent: estimate.tokensSent + embedding.tokens
+      , tokensReceived: estimate.tokensReceived
+      , cost: estimate.cost + embedding.cost
+      , excerpts
+      , embedding
+      };
+    }
+
+    const query = await this.embedder.embed([settings.query], settings)
+        , positions = _.fromPairs(document.excerpts.map((excerpt, i) => [excerpt.key, i]));
+
+    embedding.tokens += query.tokens;
+    embedding.cost += query.cost;
+
+    const matches = this.index.search(query.vectors[0], { topK, keys: text ? _.map(document.excerpts, 'key') : undefined, embedder: this.embedder })
+        , excerpts = _.sortBy(matches, match => positions[match.key] ?? 0).map(match => _.extend({}, document.excerpts[positions[match.key]], {
+            excerpt: match.text
+          , score: match.score
+          }));
+
+    const data = await this.prompt.call(_.extend({}, this.promptArgs(excerpts, settings.query), _.pick(settings, ['budget', 'tag', 'corrections', 'signal'])), settings.retries, settings.retryDelay);
+
+    return {
+      response: data.response
+    , tokensSent: data.tokensSent + embedding.tokens
+    , tokensReceived: data.tokensReceived
+    , cost: data.cost + embedding.cost
+    , excerpts
+    , embedding
+    };
+  }
+
+  promptArgs(excerpts, query) {
+    return {
+      systemInstructions: this.systemInstructions
+    , instructions: this.instructions
+    , documentDescription: this.documentDescription
+    , excerptCount: excerpts.length
+    , excerpts: _.map(excerpts, 'excerpt').join('\n---------\n')
+    , query
+    };
+  }
+}
+
+class Conversation {
+  constructor({
+    system,
+    model='gpt-4-1106-preview',
+    modelSettings={},
+    schema=Z.string(),
+    historyStrategy='drop',
+    responseTokenLength=500,
+    turns=[],
+    summary,
+    structuredOutput,
+    budget,
+    tag,
+    cache,
+  }={}) {
+    if (!['drop', 'summarize'].includes(historyStrategy)) throw new Error(`Invalid historyStrategy: ${historyStrategy}`);
+
+    this.system = system;
+    this.model = model;
+    this.modelSettings = modelSettings;
+    this.schema = schema;
+    this.historyStrategy = historyStrategy;
+    this.responseTokenLength = responseTokenLength;
+    this.turns = turns;
+    this.summary = summary;
+
+    this.promptOptions = {
+      structuredOutput,
+      budget: Budget.from(budget),
+      tag,
+      cache,
+    };
+
+    this.totals = {
+      tokensSent: 0,
+      tokensReceived: 0,
+      cost: 0,
+    };
+  }
+
+  static fromJSON(json, options={}) {
+    json = typeof json === 'string' ? JSON.parse(json) : _.cloneDeep(json);
+
+    const conversation = new Conversation(_.extend({}, _.omit(json, ['totals']), options, {
+      modelSettings: _.extend({}, json.modelSettings, options.modelSettings)
+    }));
+    conversation.totals = _.extend(conversation.totals, json.totals);
+    return conversation;
+  }
+
+  toJSON() {
+    return {
+      system: this.system,
+      model: this.model,
+      modelSettings: _.omit(this.modelSettings, secretSettings), //fromJSON takes them again
+      historyStrategy: this.historyStrategy,
+      responseTokenLength: this.responseTokenLength,
+      turns: this.turns,
+      summary: this.summary,
+      totals: this.totals,
+    };
+  }
+
+  //turns are raw so user text and JSON replies aren't read as templates
+  messages() {
+    return _.compact([
+      this.system && { role: 'system', content: this.system, raw: true },
+      { role: 'system', content: '{formatInstructions}' },
+      this.summary && { role: 'system', content: `Summary of the earlier conversation:\n${this.summary}`, raw: true },
+      ...this.turns.map(({ role, content }) => ({ role, content, raw: true })),
+    ]);
+  }
+
+  prompt(schema=this.schema) {
+    return new Prompt(_.extend({
+      messages: this.messages(),
+      model: this.model,
+      modelSettings: this.modelSettings,
+      schema,
+    }, _.omitBy(this.promptOptions, _.isUndefined)));
+  }
+
+  addUsage(data={}) {
+    this.totals.tokensSent += (data.tokensSent || 0);
+    this.totals.tokensReceived += (data.tokensReceived || 0);
+    this.totals.cost += (data.cost || 0);
+  }
+
+  //drops or summarizes the oldest turns until the history leaves room for the response
+  async fitHistory(schema) {
+    let prompt = this.prompt(schema);
+
+    while (await prompt.countRemainingTokens({}, false, '') < this.responseTokenLength) {
+      if (this.turns.length <= 1) throw new Error('tokenCount exceeds maxTokens');
+
+      if (this.historyStrategy === 'summarize') {
+        await this.summarize(Math.max(2, Math.floor((this.turns.length - 1) / 2)));
+      } else {
+        this.turns.splice(0, Math.min(2, this.turns.length - 1));
+      }
+
+      prompt = this.prompt(schema);
+    }
+
+    return prompt;
+  }
+
+  async summarize(count) {
+    const turns = this.turns.slice(0, Math.min(count, this.turns.length - 1))
+        , transcript = turns.map(({ role, content }) => `${role}: ${content}`).join('\n\n');
+
+    const prompt = new Prompt(_.extend({
+      messages: [
+        { role: 'system', content: 'Summarize the conversation below in a few sentences, keeping every fact, decision and open question needed to continue it.\n\n{formatInstructions}' },
+        this.summary && { role: 'system', content: `Summary of the conversation before it:\n${this.summary}`, raw: true },
+        { role: 'user', content: transcript, raw: true },
+      ].filter(m => m),
+      model: this.model,
+      modelSettings: this.modelSettings,
+      schema: Z.string(),
+    }, _.omitBy(_.pick(this.promptOptions, ['budget', 'tag', 'cache']), _.isUndefined)));
+
+    const data = await prompt.call({ responseTokenLength: this.responseTokenLength });
+    this.addUsage(data);
+
+    this.summary = data.response;
+    this.turns.splice(0, turns.length);
+
+    return data;
+  }
+
+  async send(content, { schema=this.schema, retries, retryDelay }={}) {
+    this.turns.push({ role: 'user', content });
+
+    let data;
+    try {
+      const prompt = await this.fitHistory(schema);
+      data = await prompt.call({ responseTokenLength: this.responseTokenLength }, retries, retryDelay);
+    } catch (e) {
+      if (_.last(this.turns)?.content === content) this.turns.pop();
+      throw e;
+    }
+
+    this.turns.push({
+      role: 'assistant',
+      content: typeof data.response === 'string' ? data.response : JSON.stringify(data.response),
+    });
+    this.addUsage(data);
+
+    return data;
   }
 }
 
@@ -541,6 +2164,53 @@ module.exports = {
   Zod: Z,
   TextSplitter, 
   DocumentPrompt,
+  QueryDocumentPrompt,
+  Conversation,
+  Agent,
+  StepLimitError,
+  AudioTranscriber,
   Model,
   models,
+  ModelRegistry,
+  registry,
+  providers,
+  registerProvider,
+  Cassette,
+  CassetteMissError,
+  parsePartialJSON,
+  Budget,
+  BudgetExceededError,
+  CancelledError,
+  abortSignal,
+  UsageLedger,
+  MemorySink,
+  JSONLinesSink,
+  ledger,
+  MemoryCache,
+  DiskCache,
+  CheckpointFile,
+  CheckpointMismatchError,
+  MemoryCheckpoint,
+  Tokenizer,
+  TokenSplitter,
+  registerEncoding,
+  tokenizerFor,
+  MissingVariablesError,
+  TemplateError,
+  compileTemplate,
+  Tracer,
+  tracer,
+  MemoryExporter,
+  OTelFileExporter,
+  PromptLibrary,
+  loadPrompt,
+  Evaluation,
+  formatReport,
+  loadDataset,
+  scorers,
+  Embedder,
+  VectorIndex,
+  embeddingProviders,
+  registerEmbeddingProvider,
+  hashEmbedding,
 };
@@ -0,0 +1,81 @@
+const { ReplayChatModel, replaySettings } = require('./replay.js');
+
+const providers = {
+  openai({ modelName, baseURL, apiKey, ...settings }) {
+    const { ChatOpenAI } = require('langchain/chat_models/openai');
+
+    return new ChatOpenAI({
+      modelName
+    , openAIApiKey: apiKey
+    , configuration: baseURL ? { basePath: baseURL } : undefined
+    , ...settings
+    });
+  },
+
+  //local servers (vLLM, llama.cpp, LM Studio, CI stubs) speak the OpenAI API but rarely check keys
+  'openai-compatible'({ apiKey, ...settings }) {
+    return providers.openai({
+      apiKey: apiKey || process.env.OPENAI_API_KEY || 'none'
+    , ...settings
+    });
+  },
+
+  vllm(settings) {
+    return providers['openai-compatible'](settings);
+  },
+
+  anthropic({ modelName, baseURL, apiKey, ...settings }) {
+    const { ChatAnthropic } = require('langchain/chat_models/anthropic');
+
+    return new ChatAnthropic({
+      modelName
+    , anthropicApiKey: apiKey
+    , anthropicApiUrl: baseURL
+    , ...settings
+    });
+  },
+
+  ollama({ modelName, baseURL, ...settings }) {
+    const { ChatOllama } = require('langchain/chat_models/ollama');
+
+    return new ChatOllama({
+      model: modelName
+    , baseUrl: baseURL
+    , ...settings
+    });
+  },
+};
+
+function registerProvider(name, factory) {
+  if (typeof factory !== 'function') throw new Error(`Provider ${name} must be a function`);
+  providers[name] = factory;
+  return factory;
+}
+
+//LLMADE_BASE_URL overrides every model's baseURL, e.g. to point CI at a local stub server,
+//and LLMADE_CASSETTE wraps every model in a record/replay layer (see replay.js)
+function createLLM({ provider='openai', baseURL, replay, ...settings }) {
+  const factory = providers[provider];
+  if (!factory) throw new Error(`Unknown provider: ${provider}`);
+
+  const llm = factory({
+    baseURL: process.env.LLMADE_BASE_URL || baseURL
+  , ...settings
+  });
+
+  replay = replaySettings(replay);
+  if (!replay) return llm;
+
+  return new ReplayChatModel({
+    llm
+  , ...replay
+  , modelName: settings.modelName
+  , settings: { provider, ...settings }
+  });
+}
+
+module.exports = {
+  providers,
+  registerProvider,
+  createLLM,
+};
@@ -0,0 +1,173 @@
+const FS = require('fs');
+const Path = require('path');
+const EventEmitter = require('events');
+
+const _ = require('lodash');
+const Z = require('zod');
+
+const priceKeys = ['tokenTxPrice', 'tokensRxPrice', 'minutePrice'];
+const limitKeys = ['maxRequestsPerMinute', 'maxTokensPerMinute', 'bufferPercentage'];
+
+const price = Z.number().nonnegative();
+const perMinute = Z.number().positive();
+
+//known settings are checked, anything else (temperature, apiKey...) is passed on to the provider
+const modelEntry = Z.object({
+  modelName: Z.string().min(1)
+, type: Z.enum(['chat', 'transcription', 'embedding']).optional()
+, provider: Z.string().min(1).optional()
+, baseURL: Z.string().url().optional()
+, maxTokens: Z.number().int().positive().optional()
+, maxResponseTokens: Z.number().int().positive().optional()
+, tokenTxPrice: price.optional()
+, tokensRxPrice: price.optional()
+, minutePrice: price.optional()
+, maxRequestsPerMinute: perMinute.optional()
+, maxTokensPerMinute: perMinute.optional()
+, bufferPercentage: Z.number().gt(0).max(1).optional()
+, functionCalling: Z.boolean().optional()
+, jsonMode: Z.boolean().optional()
+, encoding: Z.string().optional()
+}).passthrough().superRefine((entry, ctx) => {
+  if ((entry.type || 'chat') === 'chat' && entry.maxTokens === undefined) {
+    ctx.addIssue({ code: Z.ZodIssueCode.custom, path: ['maxTokens'], message: 'Required for chat models' });
+  }
+
+  //a misspelled price would silently make the model free
+  Object.keys(entry).filter(key => /price/i.test(key) && !priceKeys.includes(key)).forEach(key => {
+    ctx.addIssue({ code: Z.ZodIssueCode.custom, path: [key], message: `Unknown price, use ${priceKeys.join(', ')}` });
+  });
+});
+
+const validate = (settings) => {
+  const result = modelEntry.safeParse(settings);
+  if (result.success) return settings;
+
+  const issues = result.error.issues.map(issue => `${issue.path.join('.') || 'entry'}: ${issue.message}`).join('; ');
+  throw new Error(`Invalid settings for model ${settings?.modelName || '(unnamed)'}: ${issues}`);
+};
+
+//emits 'change' with the name of every model or alias whose settings changed
+class ModelRegistry extends EventEmitter {
+  constructor(config) {
+    super();
+    this.entries = {};
+    this.aliases = {};
+
+    if (config) this.load(config);
+  }
+
+  register(settings, { override=false }={}) {
+    validate(settings);
+
+    const name = settings.modelName;
+    if (!override && (this.entries[name] || this.aliases[name])) throw new Error(`Model ${name} is already registered`);
+
+    delete this.aliases[name];
+    this.entries[name] = _.cloneDeep(settings);
+    this.changed(name);
+
+    return this.get(name);
+  }
+
+  //merges new settings (a price fix, a new rate tier) into a registered model or alias
+  override(name, settings={}) {
+    if (this.aliases[name]) {
+      const { model, overrides } = this.aliases[name];
+      return this.alias(name, model, _.extend({}, overrides, settings));
+    }
+
+    if (!this.entries[name]) throw new Error(`Unknown model: ${name}`);
+
+    return this.register(_.extend({}, this.entries[name], settings, { modelName: name }), { override: true });
+  }
+
+  //aliases resolve to the model they point at and share its rate limiter, so they can't
+  //change its limits; other settings (temperature, prices) can be overridden
+  alias(name, model, overrides={}) {
+    if (this.entries[name]) throw new Error(`Model ${name} is already registered`);
+    if (!this.resolve(model)) throw new Error(`Unknown model: ${model}`);
+    if (this.resolve(model) === name) throw new Error(`Alias ${name} would point at itself`);
+
+    const limits = _.intersection(Object.keys(overrides), limitKeys);
+    if (limits.length) throw new Error(`Alias ${name} can't override the limits of ${model}: ${limits.join(', ')}`);
+
+    this.aliases[name] = { model, overrides: _.omit(overrides, ['modelName']) };
+    validate(this.get(name));
+    this.changed(name);
+
+    return this.get(name);
+  }
+
+  //aliases pointing at the model would resolve to nothing, so they have to be removed first
+  remove(name) {
+    const aliases = _.keys(_.pickBy(this.aliases, alias => alias.model === name));
+    if (aliases.length) throw new Error(`Model ${name} is still aliased by ${aliases.join(', ')}`);
+
+    delete this.entries[name];
+    delete this.aliases[name];
+    this.changed(name);
+  }
+
+  //name of the registered model an alias (or chain of aliases) points at
+  resolve(name, seen=[]) {
+    if (this.entries[name]) return name;
+    if (!this.aliases[name] || seen.includes(name)) return;
+    return this.resolve(this.aliases[name].model, seen.concat(name));
+  }
+
+  get(name) {
+    if (this.entries[name]) return _.cloneDeep(this.entries[name]);
+    if (!this.aliases[name]) return;
+
+    const { model, overrides } = this.aliases[name];
+    return _.extend(this.get(model), _.cloneDeep(overrides));
+  }
+
+  has(name) {
+    return !!this.resolve(name);
+  }
+
+  names({ type }={}) {
+    return Object.keys(this.entries).concat(Object.keys(this.aliases))
+      .filter(name => !type || (this.get(name).type || 'chat') === type);
+  }
+
+  //config files look like settings.json: {models: [...], aliases: {name: model | {model, ...overrides}}};
+  //models already registered are overridden
+  load(config) {
+    if (typeof config === 'string') config = JSON.parse(FS.readFileSync(Path.resolve(config)).toString());
+
+    (config.models || []).forEach(settings => {
+      if (this.entries[settings.modelName]) this.override(settings.modelName, settings);
+      else this.register(settings);
+    });
+
+    _.each(config.aliases, (alias, name) => {
+      const { model, ...overrides } = typeof alias === 'string' ? { model: alias } : alias;
+      if (this.aliases[name]) delete this.aliases[name];
+      this.alias(name, model, overrides);
+    });
+
+    return this;
+  }
+
+  changed(name) {
+    this.emit('change', name);
+
+    //aliases follow the model they point at
+    _.each(this.aliases, (alias, aliasName) => {
+      if (alias.model === name) this.changed(aliasName);
+    });
+  }
+}
+
+//bundled settings.json, plus the user's config from LLMADE_MODELS
+const registry = new ModelRegistry(require('../settings.json'));
+if (process.env.LLMADE_MODELS) registry.load(process.env.LLMADE_MODELS);
+
+module.exports = {
+  ModelRegistry,
+  registry,
+  validateModel: validate,
+};
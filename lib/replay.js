@@ -0,0 +1,171 @@
+const FS = require('fs');
+const Path = require('path');
+
+const _ = require('lodash');
+
+const { BaseChatModel } = require('langchain/chat_models/base');
+const { AIMessage } = require('langchain/schema');
+
+const { hashKey, keySettings } = require('./cache.js');
+
+//call options that change the response; signals, callbacks and axios options don't
+const keyedOptions = [
+  'stop'
+, 'functions'
+, 'function_call'
+, 'tools'
+];
+
+class CassetteMissError extends Error {
+  constructor(key, request) {
+    super(`No recorded response for request ${key}`);
+    this.name = 'CassetteMissError';
+    this.retryable = false;
+    this.key = key;
+    this.request = request;
+  }
+}
+
+const cassettes = {};
+
+class Cassette {
+  constructor(path) {
+    this.path = Path.resolve(path);
+    this.interactions = {};
+
+    if (FS.existsSync(this.path)) {
+      this.interactions = JSON.parse(FS.readFileSync(this.path).toString()).interactions || {};
+    }
+  }
+
+  //cassettes are shared per file so every model recording to it appends instead of overwriting
+  static load(path) {
+    const resolved = Path.resolve(path);
+    if (!cassettes[resolved]) cassettes[resolved] = new Cassette(resolved);
+    return cassettes[resolved];
+  }
+
+  key(request) {
+    return hashKey(request);
+  }
+
+  get(key) {
+    return this.interactions[key];
+  }
+
+  set(key, interaction) {
+    this.interactions[key] = interaction;
+    this.save();
+  }
+
+  save() {
+    FS.mkdirSync(Path.dirname(this.path), { recursive: true });
+    FS.writeFileSync(this.path, JSON.stringify({
+      version: 1
+    , interactions: this.interactions
+    }, null, 2));
+  }
+}
+
+class ReplayChatModel extends BaseChatModel {
+  constructor({
+    llm
+  , cassette
+  , mode='replay'
+  , modelName
+  , settings={}
+  }) {
+    super({});
+
+    if (!['record', 'replay', 'strict'].includes(mode)) throw new Error(`Invalid replay mode: ${mode}`);
+
+    this.llm = llm;
+    this.cassette = typeof cassette === 'string' ? Cassette.load(cassette) : cassette;
+    this.mode = mode;
+    this.modelName = modelName;
+    this.settings = keySettings(settings);
+  }
+
+  _llmType() {
+    return 'replay';
+  }
+
+  _combineLLMOutput() {
+    return {};
+  }
+
+  //call options (functions, signals, axios options) reach the wrapped model only if listed here
+  get callKeys() {
+    return this.llm.callKeys;
+  }
+
+  async getNumTokens(text) {
+    return this.llm.getNumTokens(text);
+  }
+
+  request(messages, options={}) {
+    return {
+      modelName: this.modelName
+    , settings: this.settings
+    , messages: messages.map(message => ({
+        role: message._getType()
+      , content: message.content
+      , name: message.name
+      , additional_kwargs: message.additional_kwargs
+      }))
+    , options: _.pick(options, keyedOptions)
+    };
+  }
+
+  async _generate(messages, options, runManager) {
+    const request = this.request(messages, options)
+        , key = this.cassette.key(request)
+        , recorded = this.mode !== 'record' && this.cassette.get(key);
+
+    if (recorded) {
+      return {
+        generations: recorded.response.generations.map(({ text, content, additional_kwargs }) => ({
+          text
+        , message: new AIMessage({ content, additional_kwargs })
+        }))
+      , llmOutput: recorded.response.llmOutput
+      };
+    }
+
+    if (this.mode === 'strict') throw new CassetteMissError(key, request);
+
+    const result = await this.llm._generate(messages, options, runManager);
+
+    this.cassette.set(key, {
+      request
+    , response: {
+        generations: result.generations.map(({ text, message }) => ({
+          text
+        , content: message.content
+        , additional_kwargs: message.additional_kwargs
+        }))
+      , llmOutput: result.llmOutput
+      }
+    });
+
+    return result;
+  }
+}
+
+//replay is configured per model ({cassette, mode}) or for the whole process via LLMADE_CASSETTE
+function replaySettings(replay) {
+  if (replay === false) return;
+  if (!replay && !process.env.LLMADE_CASSETTE) return;
+
+  return _.extend({
+    cassette: process.env.LLMADE_CASSETTE
+  , mode: process.env.LLMADE_REPLAY_MODE || 'replay'
+  }, typeof replay === 'string' ? { cassette: replay } : replay);
+}
+
+module.exports = {
+  Cassette,
+  CassetteMissError,
+  ReplayChatModel,
+  replaySettings,
+};
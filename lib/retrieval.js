@@ -0,0 +1,255 @@
+const FS = require('fs');
+const Path = require('path');
+
+const _ = require('lodash');
+
+const { rateLimiterFor, withRetries } = require('./limiter.js');
+const { Budget, ledger } = require('./ledger.js');
+const { registry } = require('./registry.js');
+const { hashKey } = require('./cache.js');
+const { writeAtomic } = require('./checkpoint.js');
+const { tokenizerFor } = require('./tokenizer.js');
+
+//32-bit FNV-1a, fast and stable across processes and platforms
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const normalize = (vector) => {
+  const length = Math.sqrt(_.sumBy(vector, value => value * value));
+  return length ? vector.map(value => value / length) : vector;
+};
+
+//hashed bag of words and word pairs: texts that share words end up close, which is enough to test
+//retrieval without calling a model, and the same text always gets the same vector
+const hashEmbedding = (text, dimensions=256) => {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+      , vector = new Array(dimensions).fill(0);
+
+  const add = (feature, weight) => {
+    const hash = fnv1a(feature);
+    vector[(hash >>> 1) % dimensions] += hash & 1 ? weight : -weight;
+  };
+
+  words.forEach((word, i) => {
+    add(word, 1);
+    if (i) add(`${words[i - 1]} ${word}`, 0.5);
+  });
+
+  return normalize(vector);
+};
+
+//vectors of different sizes come from different embedders and can't be compared
+const cosineSimilarity = (a, b) => {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0
+    , normA = 0
+    , normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+//a provider turns settings into `(texts, { signal }) => {vectors, tokens, headers}`; tokens are counted
+//locally when the provider doesn't report them
+const embeddingProviders = {
+  openai({ modelName, apiModel, baseURL, apiKey, dimensions, client }) {
+    const { OpenAI } = require('openai');
+
+    client = client || new OpenAI({
+      apiKey: apiKey || process.env.OPENAI_API_KEY || 'none'
+    , baseURL
+    , maxRetries: 0
+    });
+
+    return async (texts, { signal }={}) => {
+      const { data: { data, usage }, response } = await client.embeddings.create(_.omitBy({
+        model: apiModel || modelName
+      , input: texts
+      , dimensions
+      }, _.isUndefined), { signal }).withResponse();
+
+      return {
+        vectors: _.sortBy(data, 'index').map(item => item.embedding)
+      , tokens: usage?.prompt_tokens
+      , headers: response.headers
+      };
+    };
+  },
+
+  'openai-compatible'({ apiKey, ...settings }) {
+    return embeddingProviders.openai({
+      apiKey: apiKey || process.env.OPENAI_API_KEY || 'none'
+    , ...settings
+    });
+  },
+
+  hash({ dimensions=256 }) {
+    return async (texts) => ({ vectors: texts.map(text => hashEmbedding(text, dimensions)) });
+  },
+};
+
+function registerEmbeddingProvider(name, factory) {
+  if (typeof factory !== 'function') throw new Error(`Embedding provider ${name} must be a function`);
+  embeddingProviders[name] = factory;
+  return factory;
+}
+
+class Embedder {
+  constructor({
+    model='text-embedding-ada-002'
+  , modelSettings={}
+  , batchSize=100
+  , budget
+  , tag
+  , ledger: usageLedger=ledger
+  }={}) {
+    const settings = _.extend({ modelName: model }, registry.get(model), modelSettings)
+        , { provider='openai', baseURL } = settings;
+
+    const factory = embeddingProviders[provider];
+    if (!factory) throw new Error(`Unknown embedding provider: ${provider}`);
+
+    this.modelName = settings.modelName;
+    this.tokenTxPrice = settings.tokenTxPrice || 0;
+    this.batchSize = batchSize;
+    this.budget = Budget.from(budget);
+    this.tag = tag;
+    this.ledger = usageLedger;
+    this.tokenizer = tokenizerFor(this.modelName, settings.encoding);
+
+    //vectors from different models or sizes can't be compared, so index entries are keyed on this
+    this.id = hashKey({ provider, model: settings.apiModel || this.modelName, dimensions: settings.dimensions });
+
+    this.rateLimiter = rateLimiterFor(this.modelName, settings);
+
+    this.embedTexts = factory(_.extend({}, settings, { baseURL: process.env.LLMADE_BASE_URL || baseURL }));
+  }
+
+  calculateCost(tokens) {
+    return tokens * this.tokenTxPrice;
+  }
+
+  async countTokens(texts) {
+    return _.sum(await this.tokenizer.countMany(texts));
+  }
+
+  embedBatch(texts, retries, retryDelay, signal) {
+    return withRetries(this.rateLimiter, async (reportTokens) => {
+      const result = await this.embedTexts(texts, { signal })
+          , tokens = result.tokens ?? await this.countTokens(texts);
+
+      if (result.headers) this.rateLimiter.updateFromHeaders(result.headers).catch(() => {});
+      reportTokens(tokens);
+
+      return { vectors: result.vectors, tokens };
+    }, { retries, retryDelay, signal });
+  }
+
+  //embeds in batches of batchSize, recording each batch in the ledger
+  async embed(texts, {
+    retries
+  , retryDelay
+  , budget
+  , tag=this.tag
+  , signal
+  }={}) {
+    const budgets = [this.budget, budget];
+
+    let vectors = []
+      , tokens = 0
+      , cost = 0;
+
+    for (const batch of _.chunk(texts, this.batchSize)) {
+      this.ledger.check(budgets, this.calculateCost(await this.countTokens(batch)));
+
+      const result = await this.embedBatch(batch, retries, retryDelay, signal)
+          , batchCost = this.calculateCost(result.tokens);
+
+      this.ledger.record({
+        model: this.modelName
+      , tokensSent: result.tokens
+      , cost: batchCost
+      , tag
+      }, budgets);
+
+      vectors = vectors.concat(result.vectors);
+      tokens += result.tokens;
+      cost += batchCost;
+    }
+
+    return { vectors, tokens, cost };
+  }
+}
+
+//embedded excerpts keyed on the embedder and their text, plus the excerpts of each document, so later
+//runs over the same document skip splitting and embedding. Entries remember their embedder so an index
+//shared by several only compares vectors of one. With a path it is saved as one JSON file
+class VectorIndex {
+  constructor(path) {
+    this.path = path && Path.resolve(path);
+    this.entries = {};
+    this.documents = {};
+
+    if (this.path && FS.existsSync(this.path)) {
+      const { version, entries, documents } = JSON.parse(FS.readFileSync(this.path).toString());
+      if (version !== 1) throw new Error(`Unsupported vector index version ${version} in ${this.path}`);
+
+      this.entries = entries;
+      this.documents = documents;
+    }
+  }
+
+  key(embedder, text) {
+    return hashKey({ embedder: embedder.id, text });
+  }
+
+  has(key) {
+    return !!this.entries[key];
+  }
+
+  add(key, text, vector, embedder) {
+    this.entries[key] = _.omitBy({ text, vector, embedder: embedder?.id ?? embedder }, _.isUndefined);
+  }
+
+  //the top k entries by cosine similarity, optionally only among the given keys or those of an embedder
+  search(vector, { topK=5, keys, embedder }={}) {
+    const id = embedder?.id ?? embedder;
+
+    return _.uniq(keys || _.keys(this.entries))
+      .filter(key => this.entries[key] && (!id || this.entries[key].embedder === id))
+      .map(key => ({ key, text: this.entries[key].text, score: cosineSimilarity(vector, this.entries[key].vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  async save() {
+    if (!this.path) return;
+
+    await writeAtomic(this.path, JSON.stringify({
+      version: 1
+    , entries: this.entries
+    , documents: this.documents
+    }));
+  }
+}
+
+module.exports = {
+  Embedder,
+  VectorIndex,
+  cosineSimilarity,
+  embeddingProviders,
+  hashEmbedding,
+  registerEmbeddingProvider,
+};
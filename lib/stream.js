@@ -0,0 +1,109 @@
+const _ = require('lodash');
+const Z = require('zod');
+
+//push-based async iterator, so rate-limited work can feed a generator. onReturn is called when the
+//consumer stops early, e.g. with break, so the producer can stop too
+class AsyncQueue {
+  constructor(onReturn) {
+    this.items = [];
+    this.waiting = [];
+    this.done = false;
+    this.onReturn = onReturn;
+  }
+
+  push(item) {
+    if (this.waiting.length) return this.waiting.shift().resolve({ value: item, done: false });
+    this.items.push(item);
+  }
+
+  end() {
+    this.done = true;
+    this.waiting.splice(0).forEach(w => w.resolve({ value: undefined, done: true }));
+  }
+
+  fail(error) {
+    this.error = error;
+    this.waiting.splice(0).forEach(w => w.reject(error));
+  }
+
+  next() {
+    if (this.items.length) return Promise.resolve({ value: this.items.shift(), done: false });
+    if (this.error) return Promise.reject(this.error);
+    if (this.done) return Promise.resolve({ value: undefined, done: true });
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  return() {
+    if (!this.done && !this.error && this.onReturn) this.onReturn();
+
+    this.done = true;
+    this.items = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+//closes open strings, arrays and objects so a truncated JSON document parses
+function completeJSON(text) {
+  let stack = []
+    , inString = false
+    , escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      stack.push('}');
+    } else if (char === '[') {
+      stack.push(']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    }
+  }
+
+  if (inString) text = (escaped ? text.slice(0, -1) : text) + '"';
+  text = text.replace(/[\s,:]+$/, '');
+
+  return text + stack.reverse().join('');
+}
+
+//best-effort parse of a JSON response that is still being generated
+function parsePartialJSON(text='') {
+  const start = text.search(/[[{"]/);
+  if (start < 0) return;
+
+  let json = text.slice(start).replace(/```[\s\S]*$/, '');
+
+  while (json.length) {
+    try {
+      return JSON.parse(completeJSON(json));
+    } catch {
+      json = json.slice(0, -1);
+    }
+  }
+}
+
+//loosens a schema so an incomplete response can still be validated: every key is optional
+//and length checks and refinements are dropped
+function partialSchema(schema) {
+  if (schema instanceof Z.ZodObject) return Z.object(_.mapValues(schema.shape, s => partialSchema(s).optional()));
+  if (schema instanceof Z.ZodArray) return Z.array(partialSchema(schema.element));
+  if (schema instanceof Z.ZodOptional) return partialSchema(schema.unwrap()).optional();
+  if (schema instanceof Z.ZodNullable) return partialSchema(schema.unwrap()).nullable();
+  if (schema instanceof Z.ZodEffects) return partialSchema(schema.innerType());
+  return schema;
+}
+
+module.exports = {
+  AsyncQueue,
+  completeJSON,
+  parsePartialJSON,
+  partialSchema,
+};
@@ -0,0 +1,92 @@
+const _ = require('lodash');
+
+class TemplateError extends Error {
+  constructor(message, source) {
+    super(message);
+    this.name = 'TemplateError';
+    this.retryable = false;
+    this.source = source;
+  }
+}
+
+class MissingVariablesError extends Error {
+  constructor(variables) {
+    super(`Missing prompt variables: ${variables.join(', ')}`);
+    this.name = 'MissingVariablesError';
+    this.retryable = false;
+    this.variables = variables;
+  }
+}
+
+//lodash's <%= %>, <%- %>, <% %> and ${} blocks, and langchain's {variables} ({{ and }} are literal braces)
+const codeBlock = /<%[=-]?([\s\S]+?)%>|\$\{([^\\}]*(?:\\.[^\\}]*)*)\}/g;
+const fStringVariable = /(?<![{$])\{([A-Za-z_]\w*)\}(?!\})/g;
+const identifier = /[A-Za-z_$][\w$]*/g;
+
+const keywords = new Set(('break case catch const continue default delete do else false finally for function if in '
+  + 'instanceof let new null of return switch this throw true try typeof undefined var void while').split(' '));
+
+//names lodash declares inside the compiled template function
+const templateInternals = new Set(['_', 'print', 'obj', '__p', '__t', '__e', '__j']);
+
+const matches = (text, pattern, group=1) => Array.from(text.matchAll(pattern), m => m[group]).filter(Boolean);
+
+//free variables of the template code: anything read that isn't declared in the template, a global or a keyword;
+//variables only read behind `typeof` are optional
+function codeVariables(code) {
+  code = code.replace(/(['"`])(?:\\.|(?!\1)[^\\])*\1/g, '""');
+
+  const declared = new Set([
+    ...matches(code, /\b(?:var|let|const)\s+([A-Za-z_$][\w$]*)/g)
+  , ...matches(code, /function\s*[\w$]*\s*\(([^)]*)\)/g).flatMap(params => params.match(identifier) || [])
+  , ...matches(code, /\(([^()]*)\)\s*=>/g).flatMap(params => params.match(identifier) || [])
+  , ...matches(code, /([A-Za-z_$][\w$]*)\s*=>/g)
+  ]);
+
+  const free = name => !keywords.has(name) && !declared.has(name) && !templateInternals.has(name) && !(name in globalThis);
+
+  const optional = _.uniq(matches(code, /\btypeof\s+([A-Za-z_$][\w$]*)/g)).filter(free)
+      , read = _.uniq(matches(code.replace(/\btypeof\s+[A-Za-z_$][\w$]*/g, ''), /(?<![\w$.]|\.\s+)([A-Za-z_$][\w$]*)(?![\w$]|\s*:(?!:))/g)).filter(free);
+
+  return { required: _.difference(read, optional), optional };
+}
+
+const compiled = new Map();
+
+//compiles a message template once: lodash syntax errors throw here, and the variables it reads are listed
+//as required (always rendered) or optional (guarded by typeof)
+function compileTemplate(source) {
+  if (compiled.has(source)) return compiled.get(source);
+
+  const code = matches(source, codeBlock, 0).map(block => block.replace(/^<%[=-]?|%>$|^\$\{|\}$/g, '')).join(';\n')
+      , { required, optional } = codeVariables(code)
+      , text = source.replace(codeBlock, '');
+
+  let render = () => source;
+  if (code) {
+    try {
+      render = _.template(source);
+    } catch (e) {
+      throw new TemplateError(`Invalid template: ${e.message}`, source);
+    }
+  }
+
+  const fStrings = _.uniq(matches(text, fStringVariable))
+      , template = {
+          source
+        , render
+        , required: _.union(required, _.difference(fStrings, optional))
+        , optional
+        };
+
+  if (compiled.size >= 1000) compiled.clear();
+  compiled.set(source, template);
+
+  return template;
+}
+
+module.exports = {
+  MissingVariablesError,
+  TemplateError,
+  compileTemplate,
+};
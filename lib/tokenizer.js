@@ -0,0 +1,141 @@
+const _ = require('lodash');
+
+const { Tiktoken } = require('js-tiktoken/lite');
+const { TextSplitter: BaseTextSplitter } = require('langchain/text_splitter');
+
+const { hashKey } = require('./cache.js');
+
+//ranks ship with js-tiktoken and are only loaded for encodings in use
+const encodingRanks = {
+  cl100k_base: () => require('js-tiktoken/ranks/cl100k_base')
+, p50k_base: () => require('js-tiktoken/ranks/p50k_base')
+, p50k_edit: () => require('js-tiktoken/ranks/p50k_edit')
+, r50k_base: () => require('js-tiktoken/ranks/r50k_base')
+, gpt2: () => require('js-tiktoken/ranks/gpt2')
+};
+
+//models without an `encoding` in settings.json are matched by name; anything else
+//(local and non-OpenAI models) is approximated with cl100k_base
+const modelEncodings = [
+  [/^(gpt-4|gpt-3\.5|text-embedding-ada-002|text-embedding-3)/, 'cl100k_base']
+, [/^(text-davinci-00[23]|code-)/, 'p50k_base']
+, [/^(davinci|curie|babbage|ada|text-)/, 'r50k_base']
+];
+
+const defaultEncoding = 'cl100k_base';
+
+const registeredEncodings = {};
+
+const registerEncoding = (modelName, encoding) => {
+  if (!encodingRanks[encoding]) throw new Error(`Unknown encoding: ${encoding}`);
+  registeredEncodings[modelName] = encoding;
+};
+
+const encodingForModel = (modelName='') => registeredEncodings[modelName]
+  || _.find(modelEncodings, ([pattern]) => pattern.test(modelName))?.[1]
+  || defaultEncoding;
+
+const encoders = {};
+
+const encoder = (encoding) => {
+  if (!encodingRanks[encoding]) throw new Error(`Unknown encoding: ${encoding}`);
+  if (!encoders[encoding]) encoders[encoding] = new Tiktoken(encodingRanks[encoding]());
+  return encoders[encoding];
+};
+
+class Tokenizer {
+  constructor({
+    encoding=defaultEncoding
+  , maxEntries=5000
+  }={}) {
+    this.encoding = encoding;
+    this.maxEntries = maxEntries;
+    this.memo = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  //special tokens like <|endoftext|> in user text are counted as plain text instead of throwing
+  encode(text='') {
+    return encoder(this.encoding).encode(text, [], []);
+  }
+
+  decode(tokens) {
+    return encoder(this.encoding).decode(tokens);
+  }
+
+  //the memo is keyed on a hash so it doesn't keep whole prompts and excerpts alive
+  key(text='') {
+    return hashKey(`${text}`);
+  }
+
+  count(text='') {
+    text = `${text}`;
+
+    const key = this.key(text);
+
+    if (this.memo.has(key)) {
+      const count = this.memo.get(key);
+      this.memo.delete(key);
+      this.memo.set(key, count); //most recently used goes last
+      this.hits++;
+      return count;
+    }
+
+    const count = this.encode(text).length;
+    this.misses++;
+
+    this.memo.set(key, count);
+    if (this.memo.size > this.maxEntries) this.memo.delete(this.memo.keys().next().value);
+
+    return count;
+  }
+
+  countMany(texts=[]) {
+    return texts.map(text => this.count(text));
+  }
+
+  clear() {
+    this.memo.clear();
+    this.hits = 0;
+    this.misses = 0;
+  }
+}
+
+//one memoized tokenizer per encoding, shared by every model using it
+const tokenizers = {};
+
+const tokenizerFor = (modelName, encoding) => {
+  encoding = encoding || encodingForModel(modelName);
+  if (!tokenizers[encoding]) tokenizers[encoding] = new Tokenizer({ encoding });
+  return tokenizers[encoding];
+};
+
+//langchain's TokenTextSplitter fetches its ranks at runtime; this splits on the local encoder
+class TokenSplitter extends BaseTextSplitter {
+  constructor({ tokenizer, ...fields }={}) {
+    super(fields);
+    this.tokenizer = tokenizer || tokenizerFor();
+  }
+
+  async splitText(text) {
+    const tokens = this.tokenizer.encode(text)
+        , step = Math.max(this.chunkSize - this.chunkOverlap, 1)
+        , chunks = [];
+
+    for (let start = 0; start < tokens.length; start += step) {
+      chunks.push(this.tokenizer.decode(tokens.slice(start, start + this.chunkSize)));
+      if (start + this.chunkSize >= tokens.length) break;
+    }
+
+    return chunks;
+  }
+}
+
+module.exports = {
+  TokenSplitter,
+  Tokenizer,
+  encodingForModel,
+  registerEncoding,
+  tokenizerFor,
+};
@@ -0,0 +1,183 @@
+const FS = require('fs');
+const Path = require('path');
+const Crypto = require('crypto');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const _ = require('lodash');
+
+const { version } = require('../package.json');
+
+const randomId = (bytes) => Crypto.randomBytes(bytes).toString('hex');
+
+//unix time in nanoseconds, as a string like OTLP JSON
+const now = () => (BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n).toString();
+
+class Span {
+  constructor(name, attributes={}, parent) {
+    this.name = name;
+    this.traceId = parent?.traceId || randomId(16);
+    this.spanId = randomId(8);
+    this.parentSpanId = parent?.spanId;
+    this.root = parent?.root || this;
+    this.attributes = _.omitBy(attributes, _.isUndefined);
+    this.events = [];
+    this.startTime = now();
+    this.status = { code: 'unset' };
+  }
+
+  setAttributes(attributes={}) {
+    _.extend(this.attributes, _.omitBy(attributes, _.isUndefined));
+    return this;
+  }
+
+  addEvent(name, attributes={}) {
+    const event = { name, time: now(), attributes: _.omitBy(attributes, _.isUndefined) };
+    this.events.push(event);
+    return event;
+  }
+
+  end(error) {
+    this.endTime = now();
+    this.status = error ? { code: 'error', message: error.message } : { code: 'ok' };
+  }
+
+  duration() {
+    return Number(BigInt(this.endTime || now()) - BigInt(this.startTime)) / 1e6;
+  }
+}
+
+class MemoryExporter {
+  constructor({ maxSpans=1000 }={}) {
+    this.maxSpans = maxSpans;
+    this.spans = [];
+  }
+
+  export(spans) {
+    this.spans.push(...spans);
+    if (this.spans.length > this.maxSpans) this.spans.splice(0, this.spans.length - this.maxSpans);
+  }
+}
+
+//OTLP attribute values: ints are strings, everything that isn't a primitive is JSON
+const otelValue = (value) => {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: `${value}` };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (typeof value === 'string') return { stringValue: value };
+  return { stringValue: JSON.stringify(value) };
+};
+
+const otelAttributes = (attributes) => _.map(attributes, (value, key) => ({ key, value: otelValue(value) }));
+
+const statusCodes = { unset: 0, ok: 1, error: 2 };
+
+//spans of model requests are clients, everything else is internal
+const otelSpan = (span) => _.omitBy({
+  traceId: span.traceId
+, spanId: span.spanId
+, parentSpanId: span.parentSpanId
+, name: span.name
+, kind: span.name === 'model.request' ? 3 : 1
+, startTimeUnixNano: span.startTime
+, endTimeUnixNano: span.endTime
+, attributes: otelAttributes(span.attributes)
+, events: span.events.map(event => ({ timeUnixNano: event.time, name: event.name, attributes: otelAttributes(event.attributes) }))
+, status: _.omitBy({ code: statusCodes[span.status.code], message: span.status.message }, _.isUndefined)
+}, _.isUndefined);
+
+//appends one OTLP/JSON ExportTraceServiceRequest per finished trace, the format of the
+//OpenTelemetry collector's file exporter and otlpjsonfile receiver
+class OTelFileExporter {
+  constructor(path, { serviceName='llmade' }={}) {
+    this.path = Path.resolve(path);
+    this.serviceName = serviceName;
+    FS.mkdirSync(Path.dirname(this.path), { recursive: true });
+  }
+
+  export(spans) {
+    FS.appendFileSync(this.path, `${JSON.stringify({
+      resourceSpans: [{
+        resource: { attributes: otelAttributes({ 'service.name': this.serviceName }) }
+      , scopeSpans: [{ scope: { name: 'llmade', version }, spans: spans.map(otelSpan) }]
+      }]
+    })}\n`);
+  }
+
+  read() {
+    if (!FS.existsSync(this.path)) return [];
+    return FS.readFileSync(this.path).toString().split('\n').filter(l => l).map(l => JSON.parse(l));
+  }
+}
+
+//spans nest through async calls: a span started while another is running becomes its child. Listeners get
+//'event' for every event and 'span' for every finished span; exporters get each trace once its root span ends
+class Tracer extends EventEmitter {
+  constructor({ exporters=[] }={}) {
+    super();
+    this.exporters = exporters;
+    this.storage = new AsyncLocalStorage();
+    this.pending = {};
+  }
+
+  addExporter(exporter) {
+    this.exporters.push(exporter);
+    return exporter;
+  }
+
+  current() {
+    return this.storage.getStore();
+  }
+
+  //runs func inside a span, e.g. work scheduled by a queue that should stay under its caller's span
+  within(span, func) {
+    return span ? this.storage.run(span, func) : func();
+  }
+
+  async span(name, attributes, func) {
+    const span = new Span(name, attributes, this.current());
+
+    try {
+      const result = await this.storage.run(span, () => func(span));
+      span.end();
+      return result;
+    } catch (error) {
+      span.end(error);
+      throw error;
+    } finally {
+      this.finish(span);
+    }
+  }
+
+  event(name, attributes={}) {
+    const span = this.current()
+        , event = span ? span.addEvent(name, attributes) : { name, time: now(), attributes: _.omitBy(attributes, _.isUndefined) };
+
+    this.emit('event', _.extend({ traceId: span?.traceId, spanId: span?.spanId }, event));
+  }
+
+  finish(span) {
+    this.emit('span', span);
+
+    //children ending after their root are exported on their own
+    const spans = (this.pending[span.traceId] = this.pending[span.traceId] || []);
+    spans.push(span);
+
+    if (span.root !== span && !span.root.endTime) return;
+
+    delete this.pending[span.traceId];
+    this.exporters.forEach(exporter => exporter.export(spans));
+  }
+}
+
+//LLMADE_TRACE appends the traces of every call in the process to an OTLP/JSON file
+const tracer = new Tracer();
+if (process.env.LLMADE_TRACE) tracer.addExporter(new OTelFileExporter(process.env.LLMADE_TRACE));
+
+module.exports = {
+  MemoryExporter,
+  OTelFileExporter,
+  Span,
+  Tracer,
+  tracer,
+};
@@ -0,0 +1,135 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Agent,
+  StepLimitError,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Agent tests', function() {
+  this.timeout(0);
+
+  let stub
+    , replies
+    , calls;
+
+  const tools = [{
+    name: 'weather'
+  , description: 'the forecast for a city'
+  , schema: Zod.object({ city: Zod.string(), days: Zod.number().int().max(7) })
+  , handler: async ({ city, days }) => {
+      calls.push(city);
+      if (city === 'Atlantis') throw new Error('Unknown city');
+      return { city, days, forecast: 'sunny' };
+    }
+  }, {
+    name: 'time'
+  , description: 'the current time'
+  , handler: () => '12:00'
+  }];
+
+  const agent = (settings={}) => new Agent(_.extend({
+    system: 'You are a travel assistant'
+  , tools
+  , schema: Zod.object({ answer: Zod.string() })
+  , model: 'agent-model'
+  , modelSettings: {
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , maxTokens: 2048
+    , tokenTxPrice: 0.001
+    , functionCalling: true
+    }
+  }, settings));
+
+  const call = (args) => ({ functionCall: { name: 'response', arguments: JSON.stringify({ response: args }) } });
+
+  before(async function() {
+    stub = await createStub(() => call(replies.length ? replies.shift() : { tool: 'unknown' }));
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  beforeEach(function() {
+    stub.requests = [];
+    calls = [];
+  });
+
+  it('calls tools until the final answer', async function() {
+    replies = [
+      { tool: 'weather', arguments: { city: 'Lisbon', days: 10 } }
+    , { tool: 'weather', arguments: { city: 'Lisbon', days: 3 } }
+    , { tool: 'weather', arguments: { city: 'Atlantis', days: 1 } }
+    , { tool: 'final', response: { answer: 'Pack sunglasses' } }
+    ];
+
+    const data = await agent().run('Should I pack sunglasses for Lisbon?');
+
+    assert.deepStrictEqual(data.response, { answer: 'Pack sunglasses' });
+    assert.deepStrictEqual(calls, ['Lisbon', 'Atlantis'], 'Should only run valid tool calls');
+    assert.deepStrictEqual(_.map(data.steps, 'tool'), ['weather', 'weather', 'final']);
+
+    const [weather, failed, final] = data.steps;
+    assert.deepStrictEqual(weather.result, { city: 'Lisbon', days: 3, forecast: 'sunny' });
+    assert.deepStrictEqual(_.map(weather.attempts[0].errors, 'path'), ['response.arguments.days'], 'Should validate the arguments against the tool schema');
+    assert.strictEqual(failed.error, 'Unknown city');
+    assert.deepStrictEqual(final.response, data.response);
+
+    const messages = _.last(stub.requests).body.messages;
+    assert(messages.some(message => message.content === 'Result of weather:\n{"city":"Lisbon","days":3,"forecast":"sunny"}'), 'Should feed the results back');
+    assert(messages.some(message => message.content === 'weather failed: Unknown city'), 'Should feed errors back');
+
+    assert.strictEqual(stub.requests.length, 4);
+    assert(Math.abs(data.cost - _.sumBy(data.steps, 'cost')) < 1e-9 && data.cost > 0, 'Should add up the cost of every step');
+  });
+
+  it('stops at the step limit', async function() {
+    replies = _.times(3, () => ({ tool: 'time', arguments: {} }));
+
+    await assert.rejects(agent({ maxSteps: 2 }).run('What time is it?'), (error) => {
+      assert(error instanceof StepLimitError);
+      assert.deepStrictEqual(_.map(error.result.steps, 'result'), ['12:00', '12:00'], 'Should keep the transcript');
+      assert(error.result.cost > 0);
+      return true;
+    });
+  });
+
+  it('reports the transcript and usage of failed runs', async function() {
+    replies = [{ tool: 'time', arguments: {} }];
+
+    await assert.rejects(agent().run('What time is it?', { retries: 2, retryDelay: 10 }), (error) => {
+      assert(!(error instanceof StepLimitError));
+      assert.deepStrictEqual(_.map(error.result.steps, 'result'), ['12:00'], 'Should keep the transcript');
+      assert(error.result.cost > error.result.steps[0].cost, 'Should count the failed attempts');
+      return true;
+    });
+
+    const messages = stub.requests[1].body.messages;
+    assert(messages.some(message => message.content === 'Result of time:\n12:00'), 'Should send the steps so far');
+  });
+
+  it('checks budgets against responseTokenLength', async function() {
+    replies = [{ tool: 'final', response: { answer: 'Noon' } }];
+
+    const budgeted = agent({ responseTokenLength: 50, budget: 1 });
+    budgeted.modelSettings = _.extend({}, budgeted.modelSettings, { tokensRxPrice: 0.001 });
+
+    const data = await budgeted.run('What time is it?');
+    assert.deepStrictEqual(data.response, { answer: 'Noon' });
+  });
+
+  it('checks its tools', function() {
+    assert.throws(() => agent({ tools: [{ name: 'final', handler: () => {} }] }), /reserved/);
+    assert.throws(() => agent({ tools: [tools[1], tools[1]] }), /unique/);
+    assert.throws(() => agent({ tools: [{ name: 'bad name', handler: () => {} }] }), /Invalid tool name/);
+  });
+});
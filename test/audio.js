@@ -0,0 +1,207 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  AudioTranscriber,
+  DocumentPrompt,
+  UsageLedger,
+} = require('../lib/llm.js');
+
+const { audioDuration, parseWav } = require('../lib/audio.js');
+const { BudgetExceededError } = require('../lib/ledger.js');
+const { CancelledError } = require('../lib/limiter.js');
+
+const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+
+const { createStub } = require('./helpers/stub.js');
+
+//16 kHz, 16-bit mono PCM of the given length
+const wav = (seconds) => {
+  const data = Buffer.alloc(seconds * 32000)
+      , header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+};
+
+//MPEG-1 layer III at 128 kbps, so 16000 bytes a second; only the first frame header is real
+const mp3 = (seconds) => {
+  const buffer = Buffer.alloc(seconds * 16000);
+  buffer.set([0xFF, 0xFB, 0x90, 0x00]);
+  return buffer;
+};
+
+//the WAV file inside a multipart upload
+const uploadedWav = (body) => parseWav(body.subarray(body.indexOf('RIFF')));
+
+describe('Audio transcription tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  const transcriber = (settings={}) => new AudioTranscriber(_.extend({
+    modelSettings: {
+      baseURL: stub.url
+    , maxFileSize: 40000
+    , minutePrice: 0.006
+    }
+  , ledger: new UsageLedger()
+  }, settings));
+
+  before(async function() {
+    stub = await createStub((body, req) => {
+      if (!req.url.endsWith('/audio/transcriptions')) return '"a call about the quarterly numbers"';
+
+      const audio = uploadedWav(body)
+          , duration = audio.data.length / audio.byteRate
+          , chunk = (body.toString('latin1').match(/filename="[^"]*?-?(\d*)\.wav"/) || [])[1] || 0;
+
+      return {
+        status: 200
+      , body: {
+          text: ` chunk ${chunk} start. chunk ${chunk} end.`
+        , duration
+        , segments: [
+            { start: 0, end: duration / 2, text: ` chunk ${chunk} start.` }
+          , { start: duration / 2, end: duration, text: ` chunk ${chunk} end.` }
+          ]
+        }
+      };
+    });
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  beforeEach(function() {
+    stub.requests = [];
+  });
+
+  it('splits long WAV files under the upload limit and stitches the transcript', async function() {
+    const whisper = transcriber()
+        , data = await whisper.transcribe(wav(3), { filename: 'call.wav' });
+
+    const uploads = stub.requests.map(r => r.body);
+    assert.strictEqual(uploads.length, 3, 'Should upload one request per chunk');
+    uploads.forEach(upload => {
+      const audio = uploadedWav(upload);
+      assert(audio, 'Should upload valid WAV chunks');
+      assert(audio.data.length + 44 <= 40000, 'Should keep chunks under the upload limit');
+    });
+
+    assert.strictEqual(data.chunks.length, 3, 'Should report every chunk');
+    assert.strictEqual(data.text, data.chunks.map(c => c.text).join(' '), 'Should join the chunk texts');
+    assert(Math.abs(data.duration - 3) < 0.001, 'Should total the duration');
+    assert(Math.abs(data.chunks[1].start - data.chunks[0].duration) < 0.001, 'Should offset chunks by the audio before them');
+    assert(Math.abs(data.segments[2].start - data.chunks[1].start) < 0.001, 'Should shift segment timestamps into the whole recording');
+    assert(data.timestampedText.startsWith('[00:00:00] chunk'), 'Should prefix segments with timestamps');
+
+    assert(Math.abs(data.cost - 3 / 60 * 0.006) < 1e-9, 'Should price the audio by the minute');
+    assert.strictEqual(whisper.ledger.totals.calls, 3, 'Should record each chunk in the ledger');
+  });
+
+  it('uploads short files whole', async function() {
+    const data = await transcriber().transcribe(wav(1), { filename: 'short.wav' });
+
+    assert.strictEqual(stub.requests.length, 1, 'Should upload once');
+    assert.strictEqual(data.chunks.length, 1, 'Should report one chunk');
+  });
+
+  it('estimates the duration of MP3 files for budgets', async function() {
+    assert(Math.abs(audioDuration(mp3(10), 'call.mp3') - 10) < 1e-9, 'Should read the duration from the bitrate');
+
+    const whisper = transcriber({ budget: 0.0005 }); //10 seconds cost 0.001
+    await assert.rejects(() => whisper.transcribe(mp3(10), { filename: 'call.mp3' }), BudgetExceededError);
+    assert.strictEqual(stub.requests.length, 0, 'Should not upload anything');
+  });
+
+  it('keeps the usage of finished chunks when one fails', async function() {
+    const reply = stub.reply
+        , whisper = transcriber();
+
+    stub.reply = (body, req) => /filename="call-1\.wav"/.test(body.toString('latin1'))
+      ? { status: 400, body: { error: { message: 'Invalid file' } } }
+      : reply(body, req);
+
+    try {
+      await assert.rejects(() => whisper.transcribe(wav(3), { filename: 'call.wav' }), (error) => {
+        assert.strictEqual(error.status, 400);
+        assert.strictEqual(error.result.transcribed, 2, 'Should count the finished chunks');
+        assert.strictEqual(error.result.failed, 1);
+        assert(error.result.cost > 0 && Math.abs(error.result.cost - whisper.ledger.totals.cost) < 1e-9, 'Should record what was spent');
+        return true;
+      });
+    } finally {
+      stub.reply = reply;
+    }
+  });
+
+  it('stops at its timeout with the usage of finished chunks', async function() {
+    const reply = stub.reply
+        , whisper = transcriber();
+
+    stub.reply = (body, req) => /filename="call-1\.wav"/.test(body.toString('latin1'))
+      ? new Promise(resolve => setTimeout(() => resolve(reply(body, req)), 3000))
+      : reply(body, req);
+
+    try {
+      const start = Date.now();
+
+      await assert.rejects(() => whisper.transcribe(wav(3), { filename: 'call.wav', timeout: 300 }), (error) => {
+        assert(error instanceof CancelledError && error.timedOut);
+        assert.strictEqual(error.result.transcribed, 2, 'Should count the finished chunks');
+        assert(error.result.cost > 0);
+        return true;
+      });
+      assert(Date.now() - start < 2000, 'Should not wait for the slow chunk');
+    } finally {
+      stub.reply = reply;
+    }
+  });
+
+  it('refuses formats it cannot split', async function() {
+    await assert.rejects(() => transcriber().transcribe(Buffer.alloc(50000), { filename: 'call.m4a' }), /upload limit/, 'Should ask for WAV or MP3');
+    assert.strictEqual(stub.requests.length, 0, 'Should not upload anything');
+  });
+
+  it('feeds transcripts into DocumentPrompt', async function() {
+    const transcript = await transcriber().transcribe(wav(3), { filename: 'call.wav' });
+
+    const documentPrompt = new DocumentPrompt({
+      responseTokenLength: 10,
+      documentDescription: 'a call transcript',
+      instructions: 'summarize the call',
+      schema: Zod.string(),
+      model: 'local-model',
+      modelSettings: {
+        provider: 'openai-compatible'
+      , baseURL: stub.url
+      , maxTokens: 2048
+      },
+    });
+
+    const data = await documentPrompt.call(transcript, { chunkSize: 800, splitter: RecursiveCharacterTextSplitter });
+    assert.strictEqual(data.response, 'a call about the quarterly numbers', 'Should summarize the transcript');
+
+    const chat = stub.requests.find(r => r.url.endsWith('/chat/completions'));
+    assert(chat.body.messages.some(m => m.content.includes('chunk 1 start.')), 'Should send the transcript text');
+  });
+});
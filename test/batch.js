@@ -0,0 +1,138 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Batch execution tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  const modelSettings = () => ({
+    provider: 'openai-compatible'
+  , baseURL: stub.url
+  , maxTokens: 2048
+  , tokenTxPrice: 0.001
+  });
+
+  const lastUserMessage = (body) => _.last(body.messages.filter(m => m.role === 'user')).content;
+
+  before(async function() {
+    stub = await createStub();
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  beforeEach(function() {
+    stub.requests = [];
+  });
+
+  it('runs a prompt over many inputs with per-item errors', async function() {
+    stub.reply = (body) => {
+      const word = lastUserMessage(body).split(' ').pop();
+      if (word === 'broken') return { status: 400, body: { error: { message: 'bad request' } } };
+      return JSON.stringify(word.toUpperCase());
+    };
+
+    const prompt = new Prompt({
+      messages: [{ role: 'user', content: 'Uppercase {word}' }]
+    , model: 'local-model'
+    , modelSettings: modelSettings()
+    , schema: Zod.string()
+    });
+
+    let progress = [];
+    const data = await prompt.callMany([
+      { word: 'apple' }
+    , { word: 'broken' }
+    , { word: 'carrot' }
+    , { word: 'date' }
+    ], { concurrency: 2, retryDelay: 1, progress: p => progress.push(p) });
+
+    assert.deepStrictEqual(data.results.map(r => r.response), ['APPLE', undefined, 'CARROT', 'DATE'], 'Should keep results in input order');
+    assert.strictEqual(data.results[1].error.response.status, 400, 'Should keep the error of the failed item');
+    assert.strictEqual(data.failed, 1, 'Should count failures');
+    assert.strictEqual(data.completed, 4, 'Should count completed items');
+    assert.strictEqual(data.calls, 3, 'Should count successful calls');
+    assert.strictEqual(data.cost, _.sumBy(data.results, r => r.cost || 0), 'Should total the cost');
+    assert.deepStrictEqual(progress.map(p => p.completed), [1, 2, 3, 4], 'Should report progress per item');
+  });
+
+  it('stops scheduling when progress returns stop', async function() {
+    stub.reply = (body) => JSON.stringify(lastUserMessage(body));
+
+    const prompt = new Prompt({
+      messages: [{ role: 'user', content: 'Echo {word}' }]
+    , model: 'local-model'
+    , modelSettings: modelSettings()
+    , schema: Zod.string()
+    });
+
+    const data = await prompt.callMany(_.times(5, i => ({ word: `w${i}` })), { concurrency: 1, progress: p => p.completed === 2 && 'stop' });
+
+    assert.strictEqual(stub.requests.length, 2, 'Should not call the model after stopping');
+    assert(data.results.slice(2).every(r => r.skipped), 'Should mark the rest as skipped');
+  });
+
+  it('packs small inputs into shared requests', async function() {
+    stub.reply = (body) => JSON.stringify(lastUserMessage(body).split('\n').slice(1).map(line => JSON.parse(line).length));
+
+    const prompt = new Prompt({
+      messages: [{ role: 'user', content: 'Return the length of each word, one per line:\n{items}' }]
+    , model: 'local-model'
+    , modelSettings: modelSettings()
+    , schema: Zod.array(Zod.number())
+    });
+
+    const words = _.times(30, i => `word${_.repeat('x', i)}`)
+        , data = await prompt.callMany(words, { pack: true, packTokens: 60 });
+
+    assert(stub.requests.length > 1 && stub.requests.length < words.length, 'Should bundle inputs into a few requests');
+    assert.deepStrictEqual(data.results.map(r => r.response), words.map(w => w.length), 'Should map responses back to inputs');
+    assert(data.results.every(r => r.packed > 1), 'Should note how many inputs shared a request');
+    assert(Math.abs(data.cost - _.sumBy(data.results, 'cost')) < 1e-9, 'Should split the cost across inputs');
+  });
+
+  it('fails every input of a pack whose response does not line up', async function() {
+    stub.reply = () => '[1]';
+
+    const prompt = new Prompt({
+      messages: [{ role: 'user', content: 'Return the length of each word, one per line:\n{items}' }]
+    , model: 'local-model'
+    , modelSettings: modelSettings()
+    , schema: Zod.array(Zod.number())
+    });
+
+    const data = await prompt.callMany(['a', 'b', 'c'], { pack: true });
+
+    assert.strictEqual(stub.requests.length, 1, 'Should pack everything into one request');
+    assert.strictEqual(data.failed, 3, 'Should fail every input of the pack');
+    assert(/1 items for 3 inputs/.test(data.results[0].error.message), 'Should explain the mismatch');
+  });
+
+  it('renders each concurrent call with its own conditionals', async function() {
+    stub.reply = (body) => new Promise(resolve => setTimeout(() => resolve(JSON.stringify(lastUserMessage(body))), 10));
+
+    const prompt = new Prompt({
+      messages: [{ role: 'user', content: '<% if (loud) { %>Shout<% } else { %>Whisper<% } %> {word}' }]
+    , model: 'local-model'
+    , modelSettings: modelSettings()
+    , schema: Zod.string()
+    });
+
+    const data = await prompt.callMany(_.times(6, i => ({ word: `word${i}`, loud: i % 2 === 0 })), { concurrency: 6 });
+
+    assert.deepStrictEqual(_.map(data.results, 'response'), _.times(6, i => `${i % 2 === 0 ? 'Shout' : 'Whisper'} word${i}`), 'Should not mix up the templates of concurrent calls');
+  });
+});
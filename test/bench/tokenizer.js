@@ -0,0 +1,57 @@
+//token counting benchmark on test/data/shakespeare.txt: `npm run bench`
+//compares encoding every count (what langchain's getNumTokens does once its ranks are fetched)
+//with the memoized local Tokenizer, on the counting pattern of Prompt.call and splitText
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const Path = require('path')
+    , FS = require('fs')
+;
+
+const { Tiktoken } = require('js-tiktoken/lite');
+
+const { Tokenizer } = require('../../lib/tokenizer.js');
+
+const text = FS.readFileSync(Path.join(__dirname, '../data/shakespeare.txt')).toString()
+    , document = Array(50).fill(text).join('\n\n')
+    , lines = document.split('\n')
+    , rounds = 20;
+
+//each round counts the whole document, every line, and each prompt-sized block three times
+//(render check, usage accounting, dryrun), like a DocumentPrompt run
+const workload = (count) => {
+  let total = 0;
+
+  for (let round = 0; round < rounds; round++) {
+    total += count(document);
+    lines.forEach(line => total += count(line));
+
+    for (let i = 0; i < lines.length; i += 40) {
+      const block = lines.slice(i, i + 40).join('\n');
+      for (let n = 0; n < 3; n++) total += count(block);
+    }
+  }
+
+  return total;
+};
+
+const time = (label, func) => {
+  const start = process.hrtime.bigint()
+      , result = func()
+      , ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+  console.log(`${label.padEnd(28)} ${ms.toFixed(1).padStart(9)} ms`);
+  return { result, ms };
+};
+
+const { ms: loadMs } = time('load cl100k_base ranks', () => new Tiktoken(require('js-tiktoken/ranks/cl100k_base')));
+
+const encoder = new Tiktoken(require('js-tiktoken/ranks/cl100k_base'))
+    , tokenizer = new Tokenizer({ encoding: 'cl100k_base' });
+
+const uncached = time('encode every count', () => workload(t => encoder.encode(t, [], []).length))
+    , memoized = time('memoized Tokenizer', () => workload(t => tokenizer.count(t)));
+
+if (uncached.result !== memoized.result) throw new Error('Counts differ');
+
+console.log(`\n${document.length} characters, ${tokenizer.count(document)} tokens, ${rounds} rounds, ranks loaded locally in ${loadMs.toFixed(1)} ms`);
+console.log(`memo hits ${tokenizer.hits}, misses ${tokenizer.misses}, ${(uncached.ms / memoized.ms).toFixed(1)}x faster`);
@@ -0,0 +1,105 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const Path = require('path')
+    , FS = require('fs')
+    , OS = require('os')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  MemoryCache,
+  DiskCache,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Response cache tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  const prompt = (cache, cacheTTL) => new Prompt({
+    messages: 'Return a list of {count} {things}'
+  , model: 'local-model'
+  , modelSettings: {
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , maxTokens: 2048
+    , tokenTxPrice: 0.001
+    }
+  , schema: Zod.array(Zod.string())
+  , cache
+  , cacheTTL
+  });
+
+  before(async function() {
+    stub = await createStub(() => '["vanilla", "chocolate"]');
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('serves repeated prompts from memory at no cost', async function() {
+    const cached = prompt(new MemoryCache());
+
+    let first = await cached.call({ count: 2, things: 'ice cream flavors' })
+      , requests = stub.requests.length
+      , second = await cached.call({ count: 2, things: 'ice cream flavors' });
+
+    assert.strictEqual(stub.requests.length, requests, 'Should not call the model again');
+    assert.deepStrictEqual(second.response, first.response, 'Should return the cached response');
+    assert(second.cached && second.cost === 0, 'Should flag the result as cached with no cost');
+
+    await cached.call({ count: 3, things: 'ice cream flavors' });
+    assert.strictEqual(stub.requests.length, requests + 1, 'Should call the model for a different prompt');
+
+    await cached.call({ count: 2, things: 'ice cream flavors', bypassCache: true });
+    assert.strictEqual(stub.requests.length, requests + 2, 'Should bypass the cache on request');
+  });
+
+  it('persists responses on disk and expires them', async function() {
+    let directory = FS.mkdtempSync(Path.join(OS.tmpdir(), 'llmade-'));
+
+    await prompt(new DiskCache({ directory })).call({ count: 2, things: 'sorbets' });
+
+    let requests = stub.requests.length
+      , data = await prompt(new DiskCache({ directory })).call({ count: 2, things: 'sorbets' });
+
+    assert(data.cached, 'Should read the response from disk');
+    assert.strictEqual(stub.requests.length, requests, 'Should not call the model again');
+
+    await prompt(new DiskCache({ directory, ttl: 1 })).call({ count: 2, things: 'gelatos' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    data = await prompt(new DiskCache({ directory, ttl: 1 })).call({ count: 2, things: 'gelatos' });
+
+    assert(!data.cached, 'Should not serve expired responses');
+  });
+
+  it('caches parser fixes', async function() {
+    const cached = prompt(new MemoryCache());
+
+    //the fixing parser sends the broken completion back with the format instructions
+    stub.reply = (body) => body.messages[0].content.match(/Completion:/)
+      ? '["vanilla", "chocolate"]'
+      : 'vanilla and chocolate';
+
+    let first = await cached.call({ count: 2, things: 'toppings' })
+      , requests = stub.requests.length
+      , second = await cached.call({ count: 2, things: 'sauces' });
+
+    assert(first.parserFixed && second.parserFixed, 'Should fix both responses');
+    assert.strictEqual(stub.requests.length, requests + 1, 'Should only send the prompt request');
+    assert.deepStrictEqual(second.response, ['vanilla', 'chocolate'], 'Should reuse the cached fix');
+
+    requests = stub.requests.length;
+    const bypassed = await cached.call({ count: 2, things: 'toppings', bypassCache: true });
+
+    assert.strictEqual(stub.requests.length, requests + 2, 'Should not reuse the fix when bypassing the cache');
+    assert(bypassed.parserFixed && Math.abs(bypassed.cost - first.cost) < 1e-9, 'Should pay for the new fix');
+  });
+
+});
@@ -0,0 +1,191 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const Path = require('path')
+    , FS = require('fs')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  DocumentPrompt,
+  Embedder,
+} = require('../lib/llm.js');
+
+const {
+  CancelledError,
+  RateLimiter,
+  abortSignal,
+} = require('../lib/limiter.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Cancellation tests', function() {
+  this.timeout(0);
+
+  let stub
+    , text = FS.readFileSync(Path.join(__dirname, './data/shakespeare.txt')).toString();
+
+  const modelSettings = () => ({
+    provider: 'openai-compatible'
+  , baseURL: stub.url
+  , maxTokens: 2048
+  , tokenTxPrice: 0.001
+  });
+
+  const elapsed = async (promise) => {
+    const start = Date.now();
+    await promise.catch(() => {});
+    return Date.now() - start;
+  };
+
+  before(async function() {
+    stub = await createStub();
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  beforeEach(function() {
+    stub.requests = [];
+  });
+
+  it('releases queued and paused rate limiter jobs', async function() {
+    const limiter = new RateLimiter({ maxRequestsPerMinute: 2 }) //a reservoir of one request
+        , controller = new AbortController()
+        , ran = [];
+
+    await limiter.process(async () => ran.push('first'));
+
+    const queued = limiter.process(async () => ran.push('queued'), controller.signal);
+    setTimeout(() => controller.abort(), 20);
+
+    assert(await elapsed(assert.rejects(queued, CancelledError)) < 1000, 'Should leave the queue when aborted');
+    assert.deepStrictEqual(ran, ['first'], 'Should not run the cancelled job');
+
+    const paused = new RateLimiter({});
+    paused.pause(60 * 1000);
+
+    await assert.rejects(paused.process(async () => {}, AbortSignal.timeout(20)), (error) => error instanceof CancelledError && error.timedOut);
+    await assert.rejects(paused.process(async () => {}, AbortSignal.abort('user left')), /Cancelled: user left/);
+  });
+
+  it('combines signals, timeouts and deadlines', async function() {
+    assert.strictEqual(abortSignal({}), undefined);
+
+    const controller = new AbortController();
+    assert.strictEqual(abortSignal({ signal: controller.signal }), controller.signal, 'Should pass a lone signal through');
+
+    const past = abortSignal({ deadline: new Date(Date.now() - 1000) });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert(past.aborted, 'Should abort once the deadline has passed');
+
+    const signal = abortSignal({ signal: controller.signal, timeout: 60 * 1000 });
+    controller.abort();
+    assert(signal.aborted, 'Should abort when any of them does');
+  });
+
+  it('aborts the request in flight and stops retrying', async function() {
+    stub.reply = () => new Promise(resolve => setTimeout(() => resolve('["vanilla"]'), 3000));
+
+    const prompt = new Prompt({
+      messages: 'Return a list of {count} {things}'
+    , model: 'cancel-model'
+    , modelSettings: modelSettings()
+    , schema: Zod.array(Zod.string())
+    });
+
+    const call = prompt.call({ count: 1, things: 'ice cream flavors', timeout: 50 });
+
+    assert(await elapsed(assert.rejects(call, (error) => error instanceof CancelledError && error.timedOut)) < 1500, 'Should not wait for the response');
+
+    const controller = new AbortController();
+
+    stub.reply = () => {
+      setTimeout(() => controller.abort(), 50); //while waiting to retry
+      return { status: 500, body: { error: { message: 'overloaded' } } };
+    };
+    stub.requests = [];
+
+    const retrying = prompt.call({ count: 1, things: 'ice cream flavors', signal: controller.signal }, 5, 60 * 1000);
+
+    await assert.rejects(retrying, (error) => {
+      assert(error instanceof CancelledError);
+      assert.deepStrictEqual(error.result, { tokensSent: 0, tokensReceived: 0, cost: 0 }, 'Should report what was spent');
+      return true;
+    });
+    assert.strictEqual(stub.requests.length, 1, 'Should stop retrying');
+  });
+
+  it('aborts embedding requests in flight', async function() {
+    let options;
+
+    const client = {
+      embeddings: {
+        create: (params, requestOptions) => {
+          options = requestOptions;
+          return { withResponse: () => new Promise(() => {}) };
+        }
+      }
+    };
+
+    const embedder = new Embedder({ model: 'cancel-embeddings', modelSettings: { client } })
+        , embedding = embedder.embed(['vanilla'], { signal: AbortSignal.timeout(50) });
+
+    await assert.rejects(embedding, (error) => error instanceof CancelledError && error.timedOut);
+    assert(options.signal.aborted, 'Should abort the request');
+  });
+
+  it('stops a document run with the response and cost so far', async function() {
+    stub.reply = () => '"a summary"';
+
+    const prompt = (strategy) => new DocumentPrompt({
+      model: 'cancel-model'
+    , modelSettings: modelSettings()
+    , responseTokenLength: 10
+    , documentDescription: 'a speech'
+    , instructions: 'Summarize the speech'
+    , schema: Zod.string()
+    , strategy
+    });
+
+    const refine = prompt('refine')
+        , controller = new AbortController();
+
+    await refine.setTextSplitter({ chunkSize: 50 });
+
+    await assert.rejects(refine.call(text, {
+      signal: controller.signal
+    , progress: ({ count }) => count === 2 && controller.abort()
+    }), (error) => {
+      assert(error instanceof CancelledError);
+      assert.strictEqual(error.result.response, 'a summary');
+      assert.strictEqual(error.result.responses.length, 2);
+      assert(error.result.cost > 0, 'Should report the cost so far');
+      return true;
+    });
+
+    assert.strictEqual(stub.requests.length, 2, 'Should not process more excerpts');
+
+    const mapReduce = prompt('map_reduce')
+        , mapController = new AbortController();
+
+    await mapReduce.setTextSplitter({ chunkSize: 50 });
+    stub.requests = [];
+
+    await assert.rejects(mapReduce.call(text, {
+      signal: mapController.signal
+    , concurrency: 1
+    , progress: () => mapController.abort()
+    }), (error) => {
+      assert(error instanceof CancelledError);
+      assert.strictEqual(error.result.phases.map.calls, 1);
+      assert(error.result.cost > 0 && error.result.cost === error.result.phases.map.cost);
+      return true;
+    });
+
+    assert.strictEqual(stub.requests.length, 1, 'Should not start more map calls');
+  });
+});
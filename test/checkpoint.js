@@ -0,0 +1,134 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const Path = require('path')
+    , FS = require('fs')
+    , OS = require('os')
+    , _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  DocumentPrompt,
+  CheckpointFile,
+  CheckpointMismatchError,
+  MemoryCheckpoint,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('DocumentPrompt checkpoint tests', function() {
+  this.timeout(0);
+
+  let stub
+    , text = FS.readFileSync(Path.join(__dirname, './data/shakespeare.txt')).toString()
+    , directory = FS.mkdtempSync(Path.join(OS.tmpdir(), 'llmade-checkpoint-'));
+
+  const prompt = (strategy='refine') => new DocumentPrompt({
+    responseTokenLength: 10,
+    documentDescription: 'a motivational speech',
+    instructions: 'summarize this speech into 10 words that give the main idea',
+    schema: Zod.string(),
+    model: 'local-model',
+    modelSettings: {
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , maxTokens: 2048
+    , tokenTxPrice: 0.001
+    },
+    strategy,
+    language: 'text',
+  });
+
+  const settings = { chunkSize: 100 };
+
+  before(async function() {
+    stub = await createStub(() => '"summary so far"');
+  });
+
+  after(async function() {
+    await stub.close();
+    FS.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(function() {
+    stub.requests = [];
+    stub.reply = () => '"summary so far"';
+  });
+
+  it('resumes a stopped refine run from the next excerpt', async function() {
+    const full = await prompt().call(text, settings)
+        , excerpts = stub.requests.length;
+
+    stub.requests = [];
+
+    const checkpoint = new MemoryCheckpoint();
+    await prompt().call(text, _.extend({ checkpoint, progress: ({ count }) => count === 2 && 'stop' }, settings));
+
+    assert.strictEqual(stub.requests.length, 2, 'Should stop after two excerpts');
+    assert.strictEqual(checkpoint.state.excerptIndex, 2, 'Should save the next excerpt to run');
+
+    stub.requests = [];
+    const resumed = await prompt().call(text, _.extend({ checkpoint }, settings));
+
+    assert.strictEqual(stub.requests.length, excerpts - 2, 'Should only run the remaining excerpts');
+    assert.strictEqual(resumed.responses.length, excerpts, 'Should keep the responses of the first run');
+    assert.strictEqual(resumed.response, full.response, 'Should finish with the same response');
+    assert(Math.abs(resumed.cost - full.cost) < 1e-9, 'Should total the cost of both runs');
+    assert.strictEqual(checkpoint.state, undefined, 'Should clear the checkpoint once the run finishes');
+
+    stub.requests = [];
+    await prompt().call(text, _.extend({ checkpoint }, settings));
+    assert.strictEqual(stub.requests.length, excerpts, 'Should start a later run over');
+  });
+
+  it('resumes from a checkpoint file in a new DocumentPrompt', async function() {
+    const path = Path.join(directory, 'refine.json');
+
+    await prompt().call(text, _.extend({ checkpoint: path, progress: ({ count }) => count === 1 && 'stop' }, settings));
+    assert.strictEqual((await new CheckpointFile(path).load()).excerptIndex, 1, 'Should write the checkpoint to disk');
+
+    stub.requests = [];
+    const data = await prompt().call(text, _.extend({ checkpoint: path }, settings));
+
+    assert(stub.requests.length > 0, 'Should run the remaining excerpts');
+    assert.strictEqual(data.responses.length, stub.requests.length + 1, 'Should carry over the saved responses');
+    assert(!FS.existsSync(path), 'Should remove the checkpoint file once the run finishes');
+  });
+
+  it('refuses to resume when the input changed', async function() {
+    const checkpoint = new MemoryCheckpoint();
+    await prompt().call(text, _.extend({ checkpoint, progress: () => 'stop' }, settings));
+
+    stub.requests = [];
+    await assert.rejects(() => prompt().call(`${text}\nAn extra line.`, _.extend({ checkpoint }, settings)), CheckpointMismatchError, 'Should reject a different text');
+    await assert.rejects(() => prompt('map_reduce').call(text, _.extend({ checkpoint }, settings)), CheckpointMismatchError, 'Should reject different settings');
+    assert.strictEqual(stub.requests.length, 0, 'Should not call the model');
+  });
+
+  it('skips finished map calls when resuming map-reduce', async function() {
+    const checkpoint = new MemoryCheckpoint();
+
+    stub.reply = (body) => _.last(body.messages).content.includes('to sleep')
+      ? { status: 400, body: { error: { message: 'rejected' } } }
+      : '"summary so far"';
+
+    const partial = await prompt('map_reduce').call(text, _.extend({ checkpoint }, settings));
+
+    const rejected = stub.requests.filter(r => r.body.messages && _.last(r.body.messages).content.includes('to sleep')).length;
+
+    assert(rejected > 0 && partial.failed.length === rejected, 'Should have failed some map calls');
+    assert.strictEqual(_.compact(checkpoint.state.mapped).length, stub.requests.length - rejected - 1, 'Should save only the map calls that finished');
+
+    stub.reply = () => '"summary so far"';
+    stub.requests = [];
+
+    const data = await prompt('map_reduce').call(text, _.extend({ checkpoint }, settings));
+    const mapRequests = stub.requests.filter(r => !_.last(r.body.messages).content.includes('Combine them'));
+
+    assert(mapRequests.every(r => _.last(r.body.messages).content.includes('to sleep')), 'Should only rerun the failed map calls');
+    assert.strictEqual(data.phases.map.calls, data.responses.length, 'Should count the saved map calls');
+    assert.strictEqual(checkpoint.state, undefined, 'Should clear the checkpoint once every map call finished');
+  });
+});
@@ -0,0 +1,87 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const Path = require('path')
+    , FS = require('fs')
+    , _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  DocumentPrompt,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('DocumentPrompt citation tests', function() {
+  this.timeout(0);
+
+  let stub
+    , text = FS.readFileSync(Path.join(__dirname, './data/shakespeare.txt')).toString();
+
+  const prompt = (strategy) => new DocumentPrompt({
+    responseTokenLength: 10,
+    documentDescription: 'a motivational speech',
+    instructions: 'summarize this speech into 10 words that give the main idea',
+    schema: Zod.string(),
+    model: 'local-model',
+    modelSettings: {
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , maxTokens: 2048
+    },
+    strategy,
+    language: 'text',
+    citations: true,
+  });
+
+  //cites the excerpts in the request with the first words of each, plus one invented quote
+  const cite = (content) => [...content.matchAll(/\[(E\d+)[^\]]*\]\n(\S+\s+\S+\s+\S+)/g)].map(([, excerptId, words]) => ({
+    excerptId
+  , claim: 'a claim'
+  , quote: words.replace(/\s+/g, ' ')
+  }));
+
+  before(async function() {
+    stub = await createStub((body) => {
+      const content = _.last(body.messages).content
+          , previous = _.flatMap([...content.matchAll(/"citations":(\[.*?\])/g)], ([, citations]) => JSON.parse(citations));
+
+      return JSON.stringify({
+        response: 'once more unto the breach'
+      , citations: _.uniqWith(previous.concat(cite(content), [{ excerptId: 'E1', claim: 'made up', quote: 'words nobody said' }]), _.isEqual)
+      });
+    });
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('labels excerpts and resolves citations to source spans', async function() {
+    const data = await prompt('refine').call(text, { chunkSize: 100 });
+
+    assert.strictEqual(data.response, 'once more unto the breach', 'Should unwrap the response');
+
+    const labelled = stub.requests.map(r => _.last(r.body.messages).content);
+    assert(labelled.every(content => /\[E\d+, characters \d+-\d+, lines \d+-\d+\]/.test(content)), 'Should label excerpts with IDs and offsets');
+    assert(stub.requests.length > 1 && data.citations[`E${stub.requests.length}`], 'Should keep citations across excerpts');
+
+    _.each(data.citations, (citation) => {
+      assert.strictEqual(text.slice(citation.start, citation.end), citation.text, 'Should resolve the excerpt span');
+
+      citation.quotes.filter(q => q.verified).forEach(q => {
+        assert.strictEqual(text.slice(q.start, q.end).replace(/\s+/g, ' '), q.quote, 'Should locate verified quotes in the source');
+      });
+    });
+  });
+
+  it('flags quotes missing from the cited excerpt', async function() {
+    const data = await prompt('map_reduce').call(text, { chunkSize: 100 });
+
+    assert(data.unverifiedQuotes.length > 0, 'Should flag invented quotes');
+    assert(data.unverifiedQuotes.every(q => q.quote === 'words nobody said' && !q.verified), 'Should only flag quotes that are not in the excerpt');
+    assert(data.citations.E2.quotes.some(q => q.verified), 'Should verify real quotes');
+  });
+});
@@ -0,0 +1,106 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , Path = require('path')
+    , { Readable } = require('stream')
+    , assert = require('assert')
+;
+
+const { registry } = require('../lib/llm.js');
+const { run } = require('../lib/cli.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('CLI tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  const data = (file) => Path.join(__dirname, 'data', file);
+
+  //runs the CLI in-process, collecting stdout and stderr
+  const llmade = async (args, input='') => {
+    let stdout = ''
+      , stderr = '';
+
+    const code = await run(args, {
+      stdin: Readable.from([input])
+    , stdout: { write: text => stdout += text }
+    , stderr: { write: text => stderr += text }
+    });
+
+    return { code, stdout, stderr, lines: stdout.split('\n').filter(line => line.startsWith('{')).map(line => JSON.parse(line)) };
+  };
+
+  before(async function() {
+    stub = await createStub((body) => {
+      const content = _.last(body.messages).content;
+      if (content.includes('Review')) return content.includes('great') ? '"positive"' : '"negative"';
+      if (content.includes('flavors')) return '["vanilla", "chocolate", "mint"]';
+      return '"A summary"';
+    });
+
+    registry.register({ modelName: 'cli-model', provider: 'openai-compatible', baseURL: stub.url, maxTokens: 2048, tokenTxPrice: 0.001 });
+  });
+
+  after(async function() {
+    registry.remove('cli-model');
+    await stub.close();
+  });
+
+  it('runs a prompt file with variables', async function() {
+    const { code, lines: [result] } = await llmade(['prompt', data('prompts/flavors.md'), '--var', 'count=3', '--var', 'base="oat milk"', '--schemas', data('schemas.js'), '--model', 'cli-model']);
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(result.response, ['vanilla', 'chocolate', 'mint'], 'Should print the response as JSON');
+    assert(_.last(stub.requests).body.messages[1].content.includes('made with oat milk'), 'Should pass the variables');
+
+    const { code: dryCode, lines: [estimate] } = await llmade(['prompt', data('prompts/flavors.md'), '--var', 'count=3', '--schemas', data('schemas.js'), '--model', 'cli-model', '--dryrun']);
+    assert.strictEqual(dryCode, 0);
+    assert(estimate.tokensSent > 0 && estimate.cost > 0 && !estimate.response, 'Should estimate without calling the model');
+  });
+
+  it('runs a prompt over JSONL from stdin', async function() {
+    const input = [{ review: 'A great blender' }, { review: 'It leaked' }, {}].map(line => JSON.stringify(line)).join('\n');
+
+    const { code, lines } = await llmade(['prompt', data('prompts/reviews/sentiment.yaml'), '--input', '-', '--schemas', data('schemas.js'), '--model', 'cli-model'], input);
+
+    assert.strictEqual(code, 1, 'Should exit with an error when an input failed');
+    assert.deepStrictEqual(_.map(lines, 'response'), ['positive', 'negative', undefined], 'Should print one line per input');
+    assert.match(lines[2].error, /Missing prompt variables: review/);
+  });
+
+  it('runs a document prompt over stdin', async function() {
+    const text = 'The kettle leaked after a week. Support never answered.';
+
+    const { code, lines: [result] } = await llmade(['document', '-', '--instructions', 'Summarize the review', '--model', 'cli-model', '--response-tokens', '100'], text);
+    assert.strictEqual(code, 0);
+    assert.strictEqual(result.response, 'A summary');
+
+    const { lines: [estimate] } = await llmade(['document', '-', '--instructions', 'Summarize the review', '--model', 'cli-model', '--dryrun'], text);
+    assert(estimate.cost > 0 && !estimate.response, 'Should estimate the cost');
+  });
+
+  it('prints excerpt statistics', async function() {
+    const { code, lines: [stats] } = await llmade(['split', data('shakespeare.txt'), '--chunk-size', '100']);
+
+    assert.strictEqual(code, 0);
+    assert(stats.excerpts > 1 && stats.maxExcerptTokenLength <= 100 && stats.totalTextTokenLength > 0, 'Should print the statistics');
+
+    const { lines: excerpts } = await llmade(['split', data('shakespeare.txt'), '--chunk-size', '100', '--excerpts']);
+    assert.strictEqual(excerpts.length, stats.excerpts, 'Should print every excerpt as JSONL');
+    assert(excerpts.every(excerpt => excerpt.excerpt && excerpt.excerptStart >= 0));
+  });
+
+  it('reports usage errors', async function() {
+    assert.strictEqual((await llmade(['bogus'])).code, 2);
+    assert.strictEqual((await llmade(['split', '--chunk-size'])).code, 2);
+
+    const missing = await llmade(['document', '-', '--model', 'cli-model'], 'text');
+    assert.strictEqual(missing.code, 1);
+    assert.strictEqual(missing.stderr, 'document needs --instructions\n');
+
+    assert.match((await llmade(['--help'])).stdout, /Usage: llmade/);
+  });
+});
@@ -0,0 +1,140 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Conversation,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Conversation tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  const conversation = (settings={}) => new Conversation(Object.assign({
+    system: 'You are a terse assistant'
+  , model: 'local-model'
+  , modelSettings: {
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , apiKey: 'secret-key'
+    , maxTokens: 2048
+    , tokenTxPrice: 0.001
+    }
+  , responseTokenLength: 100
+  }, settings));
+
+  const lastUserMessage = (body) => body.messages.filter(m => m.role === 'user').pop().content;
+
+  before(async function() {
+    stub = await createStub(body => JSON.stringify(`reply to ${lastUserMessage(body)}`));
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('keeps user and assistant turns in the history', async function() {
+    const chat = conversation();
+
+    const first = await chat.send('hello {name} <%= name %>');
+    assert.strictEqual(first.response, 'reply to hello {name} <%= name %>', 'Should send turns as literal text');
+
+    await chat.send('and again');
+
+    const { messages } = stub.requests[stub.requests.length - 1].body;
+    assert.deepStrictEqual(messages.filter(m => m.role !== 'system').map(m => m.content), [
+      'hello {name} <%= name %>'
+    , 'reply to hello {name} <%= name %>'
+    , 'and again'
+    ], 'Should send the earlier turns with the new message');
+    assert.strictEqual(messages[0].content, 'You are a terse assistant', 'Should lead with the system message');
+
+    assert.strictEqual(chat.turns.length, 4, 'Should record both turns of each exchange');
+    assert(chat.totals.cost > 0, 'Should total the cost of the conversation');
+  });
+
+  it('checks budgets against responseTokenLength', async function() {
+    const chat = conversation({ budget: 0.5, responseTokenLength: 50 });
+    chat.modelSettings.tokensRxPrice = 0.001;
+
+    await chat.send('hello');
+    assert(chat.totals.cost > 0 && chat.totals.cost < 0.5);
+  });
+
+  it('validates replies against a per-turn schema', async function() {
+    const chat = conversation();
+
+    stub.reply = () => '{"city": "Paris", "population": 2100000}';
+
+    const data = await chat.send('What is the capital of France?', {
+      schema: Zod.object({ city: Zod.string(), population: Zod.number() })
+    });
+
+    assert.deepStrictEqual(data.response, { city: 'Paris', population: 2100000 }, 'Should parse the reply with the turn schema');
+    assert.strictEqual(chat.turns[1].content, JSON.stringify(data.response), 'Should store structured replies as JSON');
+
+    stub.reply = body => JSON.stringify(`reply to ${lastUserMessage(body)}`);
+  });
+
+  it('drops the oldest turns to stay within maxTokens', async function() {
+    const chat = conversation({ modelSettings: _.extend({}, conversation().modelSettings, { maxTokens: 550 }) });
+
+    for (let i = 0; i < 6; i++) await chat.send(`message ${i} ${'lorem ipsum '.repeat(20)}`);
+
+    const { messages } = stub.requests[stub.requests.length - 1].body;
+    assert(chat.turns.length < 12, 'Should have dropped turns');
+    assert.strictEqual(chat.turns[0].role, 'user', 'Should drop whole exchanges');
+    assert(!messages.some(m => m.content.startsWith('message 0')), 'Should not send dropped turns');
+    assert(lastUserMessage(stub.requests[stub.requests.length - 1].body).startsWith('message 5'), 'Should keep the newest turn');
+  });
+
+  it('summarizes the oldest turns to stay within maxTokens', async function() {
+    const chat = conversation({
+      modelSettings: _.extend({}, conversation().modelSettings, { maxTokens: 550 })
+    , historyStrategy: 'summarize'
+    });
+
+    stub.reply = body => body.messages[0].content.startsWith('Summarize')
+      ? JSON.stringify('the user sent several messages')
+      : JSON.stringify(`reply to ${lastUserMessage(body).slice(0, 10)}`);
+
+    for (let i = 0; i < 6; i++) await chat.send(`message ${i} ${'lorem ipsum '.repeat(20)}`);
+
+    assert.strictEqual(chat.summary, 'the user sent several messages', 'Should keep a summary of the dropped turns');
+
+    const { messages } = stub.requests[stub.requests.length - 1].body;
+    assert(messages.some(m => m.content.includes('the user sent several messages')), 'Should send the summary with the history');
+
+    stub.reply = body => JSON.stringify(`reply to ${lastUserMessage(body)}`);
+  });
+
+  it('restores a conversation from JSON', async function() {
+    const chat = conversation();
+    await chat.send('remember me');
+
+    const saved = JSON.parse(JSON.stringify(chat));
+    assert.strictEqual(saved.modelSettings.apiKey, undefined, 'Should not save the API key');
+    assert(!JSON.stringify(conversation({ modelSettings: { openAIApiKey: 'sk-secret' } })).includes('sk-secret'), 'Should not save provider keys');
+    assert.strictEqual(saved.modelSettings.baseURL, stub.url, 'Should save the other settings');
+
+    const restored = Conversation.fromJSON(saved, { modelSettings: { apiKey: 'restored-key' } });
+    assert.strictEqual(restored.modelSettings.baseURL, stub.url, 'Should merge the settings passed back in');
+    assert.deepStrictEqual(restored.turns, chat.turns, 'Should restore the turns');
+    assert.strictEqual(restored.system, chat.system, 'Should restore the system message');
+    assert.deepStrictEqual(restored.totals, chat.totals, 'Should restore the totals');
+
+    await restored.send('still there?');
+
+    const { body: { messages }, headers } = stub.requests[stub.requests.length - 1];
+    assert(messages.some(m => m.content === 'remember me'), 'Should continue from the restored history');
+    assert.strictEqual(headers.authorization, 'Bearer restored-key', 'Should use the settings passed back in');
+    assert.strictEqual(chat.turns.length, 2, 'Should not change the original conversation');
+  });
+});
@@ -0,0 +1,6 @@
+const { Zod } = require('../../lib/llm.js');
+
+module.exports = {
+  flavors: Zod.array(Zod.string()),
+  sentiment: Zod.enum(['positive', 'negative']),
+};
@@ -0,0 +1,96 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const Path = require('path')
+    , FS = require('fs')
+    , _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  DocumentPrompt,
+} = require('../lib/llm.js');
+
+const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('DocumentPrompt strategy tests', function() {
+  this.timeout(0);
+
+  let stub
+    , text = FS.readFileSync(Path.join(__dirname, './data/shakespeare.txt')).toString()
+    , schema = Zod.string().describe('summarization of speech');
+
+  const prompt = (strategy, maxTokens=2048) => new DocumentPrompt({
+    responseTokenLength: 10,
+    documentDescription: 'a motivational speech',
+    instructions: 'summarize this speech into 10 words that give the main idea',
+    schema,
+    model: 'local-model',
+    modelSettings: {
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , maxTokens
+    , tokenTxPrice: 0.001
+    , tokensRxPrice: 0.001
+    },
+    strategy,
+  });
+
+  before(async function() {
+    stub = await createStub((body) => _.last(body.messages).content.match(/Combine them/)
+      ? '"combined summary"'
+      : `"${_.repeat('excerpt summary ', 20)}"`);
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('summarizes with map-reduce', async function() {
+    let data = await prompt('map_reduce').call(text, { chunkSize: 800, splitter: RecursiveCharacterTextSplitter });
+
+    assert.strictEqual(data.response, 'combined summary', 'Should return the reduced response');
+    assert(data.phases.map.calls > 1, 'Should map every excerpt');
+    assert.strictEqual(data.phases.map.calls, data.responses.length, 'Should keep every map response');
+    assert.strictEqual(data.phases.reduce.calls, 1, 'Should reduce in one call');
+    assert(data.phases.map.cost > 0 && data.phases.reduce.cost > 0, 'Should report cost per phase');
+    assert.strictEqual(data.cost, data.phases.map.cost + data.phases.reduce.cost, 'Should total the phases');
+    assert.deepStrictEqual(data.failed, []);
+  });
+
+  it('reports the excerpts whose map calls failed', async function() {
+    const reply = stub.reply;
+    stub.reply = (body) => _.last(body.messages).content.includes('To be, or not to be')
+      ? { status: 400, body: { error: { message: 'rejected' } } }
+      : reply(body);
+
+    try {
+      let data = await prompt('map_reduce').call(text, { chunkSize: 300, splitter: RecursiveCharacterTextSplitter });
+
+      assert.strictEqual(data.response, 'combined summary', 'Should reduce the other responses');
+      assert.deepStrictEqual(_.map(data.failed, 'index'), [0], 'Should list the failed excerpt');
+      assert(/400/.test(data.failed[0].error), 'Should keep the error');
+      assert.strictEqual(data.phases.map.failed, 1, 'Should count the failure in the map phase');
+      assert.strictEqual(data.phases.map.calls, data.responses.length);
+    } finally {
+      stub.reply = reply;
+    }
+  });
+
+  it('reduces hierarchically when map responses overflow the context', async function() {
+    await assert.rejects(prompt('map_reduce', 520).call(text, { chunkSize: 400, splitter: RecursiveCharacterTextSplitter }), (error) => {
+      assert.match(error.message, /tree strategy/);
+      assert(error.result.responses.length > 1 && error.result.cost > 0, 'Should keep the map responses and their cost');
+      return true;
+    });
+
+    let data = await prompt('tree', 520).call(text, { chunkSize: 400, splitter: RecursiveCharacterTextSplitter });
+
+    assert.strictEqual(data.response, 'combined summary', 'Should return the reduced response');
+    assert(data.phases.reduce.calls > 1, 'Should reduce in several calls');
+  });
+
+});
@@ -0,0 +1,186 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , Path = require('path')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  DocumentPrompt,
+  Evaluation,
+  formatReport,
+  loadDataset,
+  scorers,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Evaluation tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  const dataset = Path.join(__dirname, 'data/eval/reviews.jsonl');
+
+  const schema = Zod.object({
+    sentiment: Zod.enum(['positive', 'negative', 'neutral'])
+  , stars: Zod.number()
+  , topics: Zod.array(Zod.string())
+  });
+
+  //the strong model answers every review, the weak one misreads the toaster
+  const answers = {
+    'strong-model': {
+      blender: { sentiment: 'positive', stars: 4, topics: ['Ice', 'noise'] }
+    , kettle: { sentiment: 'negative', stars: 1, topics: ['leaks'] }
+    , toaster: { sentiment: 'neutral', stars: 3, topics: ['browning'] }
+    }
+  , 'weak-model': {
+      blender: { sentiment: 'positive', stars: 5, topics: ['ice'] }
+    , kettle: { sentiment: 'negative', stars: 1, topics: ['leaks'] }
+    , toaster: { sentiment: 'negative', stars: 2, topics: ['browning', 'price'] }
+    }
+  };
+
+  const prompt = (model) => new Prompt({
+    messages: 'Classify this review: {review}'
+  , model
+  , modelSettings: {
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , maxTokens: 2048
+    , tokenTxPrice: model === 'strong-model' ? 0.01 : 0.001
+    }
+  , schema
+  });
+
+  before(async function() {
+    stub = await createStub((body) => {
+      const review = _.last(body.messages).content
+          , id = ['blender', 'kettle', 'toaster'].find(word => review.toLowerCase().includes(word));
+
+      return JSON.stringify(answers[body.model][id]);
+    });
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('loads JSONL datasets', function() {
+    const cases = loadDataset(dataset);
+
+    assert.deepStrictEqual(_.map(cases, 'id'), ['blender', 'kettle', 'toaster'], 'Should skip blank lines');
+    assert.strictEqual(loadDataset([{ input: {}, expected: 1 }])[0].id, 1, 'Should number cases without ids');
+  });
+
+  it('compares models with built-in and custom scorers', async function() {
+    let progress = [];
+
+    const evaluation = new Evaluation({
+      prompt
+    , models: ['strong-model', 'weak-model']
+    , scorers: {
+        sentiment: scorers.exactMatch({ path: 'sentiment' })
+      , stars: scorers.numericTolerance({ path: 'stars', tolerance: 1 })
+      , topics: scorers.setOverlap({ path: 'topics', threshold: 0.5 })
+      , valid: scorers.schemaValid(schema)
+      , short: { score: (actual) => actual.topics.length <= 2, threshold: 1 }
+      }
+    });
+
+    const report = await evaluation.run(dataset, { progress: ({ completed, total }) => progress.push(`${completed}/${total}`) });
+
+    assert.strictEqual(progress.length, 6, 'Should report progress for every case and model');
+
+    const strong = report.models['strong-model']
+        , weak = report.models['weak-model'];
+
+    assert.strictEqual(strong.passRate, 1, 'Should pass every case with the strong model');
+    assert.strictEqual(weak.passed, 2, 'Should fail the misread case with the weak model');
+    assert.strictEqual(weak.scores.sentiment, 2 / 3, 'Should average the scores');
+    assert.strictEqual(weak.scores.topics, (0.5 + 1 + 0.5) / 3, 'Should score list overlap');
+
+    assert(strong.cost > weak.cost && weak.cost > 0, 'Should price each model with calculateCost');
+    assert(strong.latency.p95 >= strong.latency.p50 && strong.tokensSent > 0, 'Should measure latency and tokens');
+
+    const toaster = report.cases.find(result => result.model === 'weak-model' && result.id === 'toaster');
+    assert.deepStrictEqual(toaster.diff, [
+      { path: 'sentiment', expected: 'neutral', actual: 'negative' }
+    , { path: 'stars', expected: 3, actual: 2 }
+    , { path: 'topics[1]', expected: undefined, actual: 'price' }
+    ], 'Should diff the response against the expected output');
+
+    const markdown = formatReport(report);
+    assert(markdown.includes('| weak-model | 2/3 | 66.7% |'), 'Should summarize each model');
+    assert(markdown.includes('- sentiment: expected "neutral", got "negative"'), 'Should list the failed cases');
+  });
+
+  it('records errors as failed cases', async function() {
+    const failing = new Prompt({
+      messages: 'Classify this review: {review}'
+    , model: 'missing-model'
+    , modelSettings: { provider: 'openai-compatible', baseURL: 'http://127.0.0.1:9/v1', maxTokens: 2048 }
+    , schema
+    });
+
+    const report = await new Evaluation({ prompt: failing, retries: 1 }).run(dataset);
+
+    assert.strictEqual(report.models['missing-model'].errors, 3, 'Should record every failed call');
+    assert(report.cases.every(result => !result.passed && result.error && result.scores.exactMatch === 0), 'Should fail the cases');
+    assert.throws(() => new Evaluation({ prompt: failing, models: ['a', 'b'] }), /function/);
+  });
+
+  it('counts the cost of failed cases', async function() {
+    const reply = stub.reply;
+    stub.reply = () => 'I would rather not say';
+
+    try {
+      const report = await new Evaluation({ prompt: prompt('weak-model'), retries: 2, retryDelay: 10 }).run(dataset);
+
+      assert(report.cases.every(result => result.error && result.cost > 0 && result.tokensSent > 0), 'Should keep the usage of the failed attempts');
+      assert(Math.abs(report.models['weak-model'].cost - _.sumBy(report.cases, 'cost')) < 1e-9);
+    } finally {
+      stub.reply = reply;
+    }
+  });
+
+  it('scores 0 when a scorer throws', async function() {
+    const report = await new Evaluation({
+      prompt: prompt('weak-model')
+    , scorers: {
+        sentiment: scorers.exactMatch({ path: 'sentiment' })
+      , second: { score: (actual) => actual.topics[1].length > 0 } //only the toaster has a second topic
+      }
+    }).run(dataset);
+
+    const blender = report.cases.find(result => result.id === 'blender')
+        , toaster = report.cases.find(result => result.id === 'toaster');
+
+    assert.strictEqual(report.cases.length, 3, 'Should score every case');
+    assert.strictEqual(blender.scores.second, 0);
+    assert(/Cannot read/.test(blender.scoreErrors.second), 'Should keep the error');
+    assert(!blender.passed && !blender.error, 'Should fail the case without a call error');
+    assert.deepStrictEqual(toaster.scoreErrors, {});
+    assert(formatReport(report).includes('- second failed: Cannot read'), 'Should list the scorer errors');
+  });
+
+  it('evaluates document prompts', async function() {
+    const document = new DocumentPrompt({
+      model: 'strong-model'
+    , modelSettings: { provider: 'openai-compatible', baseURL: stub.url, maxTokens: 2048 }
+    , instructions: 'Classify the review'
+    , documentDescription: 'a product review'
+    , responseTokenLength: 100
+    , schema
+    });
+
+    const report = await new Evaluation({ prompt: document, scorers: { sentiment: scorers.exactMatch({ path: 'sentiment' }) } })
+      .run([{ input: 'The kettle leaked after a week.', expected: { sentiment: 'negative' } }]);
+
+    assert.strictEqual(report.models['strong-model'].passRate, 1, 'Should score the document response');
+  });
+});
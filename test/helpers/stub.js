@@ -0,0 +1,104 @@
+const HTTP = require('http');
+
+//minimal OpenAI-compatible server; `reply(body, req)` returns the assistant content,
+//or {status, headers, body} for a raw response (e.g. transcriptions); `embed(input)` returns
+//the vector for each embeddings input. Streamed replies wait `interval` ms between chunks, and
+//requests the client drops mid-stream are marked `aborted`
+async function createStub(reply = () => '[]') {
+  const stub = {
+    requests: [],
+    reply,
+    embed: (input) => [input.length, 1],
+  };
+
+  const server = HTTP.createServer((req, res) => {
+    let raw = [];
+    req.on('data', chunk => raw.push(chunk));
+    req.on('end', async () => {
+      raw = Buffer.concat(raw);
+
+      let body;
+      try {
+        body = JSON.parse(raw.toString());
+      } catch {
+        body = raw; //uploads such as audio stay binary
+      }
+
+      const request = { url: req.url, headers: req.headers, body };
+      stub.requests.push(request);
+
+      if (req.url.endsWith('/embeddings')) {
+        const inputs = [].concat(body.input);
+        res.writeHead(200, { 'content-type': 'application/json' });
+        return res.end(JSON.stringify({
+          object: 'list',
+          model: body.model,
+          data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: stub.embed(input) })),
+          usage: { prompt_tokens: inputs.length * 10, total_tokens: inputs.length * 10 },
+        }));
+      }
+
+      let result = await stub.reply(body, req);
+      if (typeof result === 'string') result = { content: result };
+
+      if (result.status) {
+        res.writeHead(result.status, Object.assign({ 'content-type': 'application/json' }, result.headers));
+        return res.end(JSON.stringify(result.body || {}));
+      }
+
+      const message = { role: 'assistant', content: result.content ?? null };
+      if (result.functionCall) message.function_call = result.functionCall;
+
+      const usage = {
+        prompt_tokens: 10,
+        completion_tokens: 10,
+        total_tokens: 20,
+      };
+
+      if (body.stream) {
+        res.writeHead(200, Object.assign({ 'content-type': 'text/event-stream' }, result.headers));
+        const deltas = result.chunks || (message.content || '').match(/.{1,3}/gs) || [];
+        for (const [i, content] of deltas.entries()) {
+          if (res.destroyed) return request.aborted = true;
+
+          res.write(`data: ${JSON.stringify({
+            id: 'stub', object: 'chat.completion.chunk', created: 0, model: body.model,
+            choices: [{ index: 0, delta: i ? { content } : { role: 'assistant', content }, finish_reason: null }],
+          })}\n\n`);
+
+          if (result.interval) await new Promise(resolve => setTimeout(resolve, result.interval));
+        }
+        res.write(`data: ${JSON.stringify({
+          id: 'stub', object: 'chat.completion.chunk', created: 0, model: body.model,
+          choices: [{ index: 0, delta: {}, finish_reason: 'stop' }],
+        })}\n\n`);
+        res.write('data: [DONE]\n\n');
+        return res.end();
+      }
+
+      res.writeHead(200, Object.assign({ 'content-type': 'application/json' }, result.headers));
+      res.end(JSON.stringify({
+        id: 'stub',
+        object: 'chat.completion',
+        created: 0,
+        model: body.model,
+        choices: [{ index: 0, message, finish_reason: 'stop' }],
+        usage,
+      }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  stub.url = `http://127.0.0.1:${server.address().port}/v1`;
+  stub.close = () => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections(); //keep-alive sockets would hold the close open
+  });
+
+  return stub;
+}
+
+module.exports = {
+  createStub,
+};
@@ -0,0 +1,161 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const Path = require('path')
+    , FS = require('fs')
+    , OS = require('os')
+    , _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  DocumentPrompt,
+  UsageLedger,
+  MemorySink,
+  JSONLinesSink,
+  BudgetExceededError,
+} = require('../lib/llm.js');
+
+const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Usage ledger tests', function() {
+  this.timeout(0);
+
+  let stub
+    , text = FS.readFileSync(Path.join(__dirname, './data/shakespeare.txt')).toString()
+    , modelSettings;
+
+  before(async function() {
+    stub = await createStub(() => '["vanilla", "chocolate"]');
+    modelSettings = {
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , maxTokens: 2048
+    , tokenTxPrice: 0.001
+    , tokensRxPrice: 0.001
+    };
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('records every call with its tag and parser-fix flag', async function() {
+    let path = Path.join(FS.mkdtempSync(Path.join(OS.tmpdir(), 'llmade-')), 'usage.jsonl')
+      , memory = new MemorySink()
+      , ledger = new UsageLedger({ sinks: [memory, new JSONLinesSink(path)] })
+      , replies = ['vanilla and chocolate', '["vanilla", "chocolate"]'];
+
+    stub.reply = () => replies.shift();
+
+    const prompt = new Prompt({
+      messages: 'Return a list of {count} {things}'
+    , model: 'local-model'
+    , modelSettings
+    , schema: Zod.array(Zod.string())
+    , tag: 'flavors'
+    , ledger
+    });
+
+    let data = await prompt.call({ count: 2, things: 'ice cream flavors' });
+
+    assert.strictEqual(memory.entries.length, 2, 'Should record the request and the parser fix');
+    assert.deepStrictEqual(_.map(memory.entries, 'parserFixed'), [false, true], 'Should flag the parser fix');
+    assert(_.every(memory.entries, { tag: 'flavors', model: 'local-model' }), 'Should record the tag and model');
+    assert.strictEqual(ledger.totals.cost, data.cost, 'Should total the cost of the call');
+    assert.deepStrictEqual(new JSONLinesSink(path).read(), memory.entries, 'Should write the same entries to the file');
+  });
+
+  it('throws before a request that would exceed the prompt budget', async function() {
+    stub.reply = () => '["vanilla", "chocolate"]';
+
+    const prompt = new Prompt({
+      messages: 'Return a list of {count} {things}'
+    , model: 'local-model'
+    , modelSettings
+    , schema: Zod.array(Zod.string())
+    , budget: 5
+    , ledger: new UsageLedger()
+    });
+
+    let data = await prompt.call({ count: 2, things: 'ice cream flavors' });
+    assert.strictEqual(prompt.budget.spent, data.cost, 'Should charge the prompt budget');
+
+    prompt.budget.maxCost = data.cost + 1; //enough for the prompt, not for a response filling the rest of the context
+
+    let requests = stub.requests.length;
+    await assert.rejects(prompt.call({ count: 2, things: 'ice cream flavors' }), BudgetExceededError, 'Should expect the longest response');
+    assert.strictEqual(stub.requests.length, requests, 'Should not send the request');
+
+    await prompt.call({ count: 2, things: 'ice cream flavors', responseTokenLength: 20 });
+    assert.strictEqual(stub.requests.length, requests + 1, 'Should estimate a responseTokenLength response');
+
+    const capped = new Prompt({
+      messages: 'Return a list of {count} {things}'
+    , model: 'local-model'
+    , modelSettings: _.extend({}, modelSettings, { maxResponseTokens: 100 })
+    , schema: Zod.array(Zod.string())
+    , budget: data.cost + 1
+    , ledger: new UsageLedger()
+    });
+
+    await capped.call({ count: 2, things: 'ice cream flavors' });
+    assert.strictEqual(stub.requests.length, requests + 2, 'Should expect at most maxResponseTokens');
+
+    const estimate = await capped.call({ count: 2, things: 'ice cream flavors', dryrun: true });
+    assert(estimate.tokensReceived > 1000, 'Should keep the worst case for dry runs');
+  });
+
+  it('checks the budget before a parser fix', async function() {
+    const prompt = new Prompt({
+      messages: 'Return a list of {count} {things}'
+    , model: 'local-model'
+    , modelSettings
+    , schema: Zod.array(Zod.string())
+    , budget: 5
+    , ledger: new UsageLedger()
+    });
+
+    stub.reply = () => '["vanilla", "chocolate"]';
+    let data = await prompt.call({ count: 2, things: 'ice cream flavors', responseTokenLength: 20 });
+
+    //room for the next request and its response, but not for a fixing call on top
+    prompt.budget.maxCost = data.cost + (data.tokensSent + 20) * 0.001;
+    stub.reply = () => 'Sure! The flavors are vanilla, chocolate, strawberry and mint';
+
+    let requests = stub.requests.length;
+    await assert.rejects(prompt.call({ count: 2, things: 'ice cream flavors', responseTokenLength: 20 }), BudgetExceededError);
+    assert.strictEqual(stub.requests.length, requests + 1, 'Should not send the fixing call');
+  });
+
+  it('stops a DocumentPrompt run at its budget', async function() {
+    stub.reply = () => '"summary"';
+
+    let prompt = new DocumentPrompt({
+      responseTokenLength: 10,
+      documentDescription: 'a motivational speech',
+      instructions: 'summarize this speech',
+      schema: Zod.string(),
+      model: 'local-model',
+      modelSettings,
+    });
+
+    let error = await prompt.call(text, { chunkSize: 200, splitter: RecursiveCharacterTextSplitter, budget: 0.5 }).catch(e => e);
+
+    assert(error instanceof BudgetExceededError, 'Should throw a budget error');
+    assert(error.result.responses.length > 0, 'Should keep the partial result');
+    assert(error.result.cost <= 0.5, 'Should stay under the budget');
+
+    const requests = stub.requests.length;
+    error = await prompt.call(text, { chunkSize: 200, splitter: RecursiveCharacterTextSplitter, budget: 0.5, strategy: 'map_reduce', concurrency: 1 }).catch(e => e);
+
+    assert(error instanceof BudgetExceededError, 'Should throw a budget error from the map stage');
+    assert(error.result.responses.length > 0 && error.result.cost > 0, 'Should keep the map responses and their cost');
+    assert.strictEqual(stub.requests.length - requests, error.result.responses.length, 'Should not start more map calls');
+  });
+
+});
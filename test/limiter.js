@@ -0,0 +1,106 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+} = require('../lib/llm.js');
+
+const {
+  RateLimiter,
+  isRetryable,
+  parseDuration,
+} = require('../lib/limiter.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Rate limiter tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  before(async function() {
+    stub = await createStub();
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('parses rate limit durations', function() {
+    assert.strictEqual(parseDuration('6m0s'), 360000);
+    assert.strictEqual(parseDuration('1.5s'), 1500);
+    assert.strictEqual(parseDuration('20ms'), 20);
+    assert.strictEqual(parseDuration('2'), 2000);
+  });
+
+  it('classifies retryable errors', function() {
+    assert(isRetryable({ response: { status: 429 } }), '429 is retryable');
+    assert(isRetryable({ response: { status: 503 } }), '5xx is retryable');
+    assert(!isRetryable({ response: { status: 400 } }), '400 is not retryable');
+    assert(!isRetryable({ response: { status: 401 } }), '401 is not retryable');
+    assert(isRetryable(new Error('Failed to parse')), 'Parse errors are retryable');
+  });
+
+  it('resizes reservoirs from rate limit headers', async function() {
+    const limiter = new RateLimiter({ maxRequestsPerMinute: 100, maxTokensPerMinute: 1000, bufferPercentage: 1 });
+
+    await limiter.updateFromHeaders({
+      'x-ratelimit-limit-requests': '500'
+    , 'x-ratelimit-remaining-requests': '20'
+    , 'x-ratelimit-limit-tokens': '1000'
+    , 'x-ratelimit-remaining-tokens': '0'
+    , 'x-ratelimit-reset-tokens': '50ms'
+    });
+
+    assert.strictEqual(limiter.maxRequestsPerMinute, 500, 'Should adopt the account limit');
+    assert.strictEqual(await limiter.requestLimiter.currentReservoir(), 20, 'Should shrink to the remaining requests');
+    assert(limiter.pausedUntil > Date.now(), 'Should pause when tokens are exhausted');
+
+    let start = Date.now();
+    await limiter.process(async () => {});
+    assert(Date.now() - start >= 40, 'Should wait out the pause');
+  });
+
+  it('backs off on 429s, reads response headers and does not retry client errors', async function() {
+    let replies = [
+      { status: 429, headers: { 'retry-after-ms': '50' }, body: { error: { message: 'Rate limited' } } }
+    , '["vanilla"]'
+    ];
+    stub.reply = () => replies.shift();
+
+    const prompt = new Prompt({
+      messages: 'Return a list of {count} {things}'
+    , model: 'local-model'
+    , modelSettings: {
+        provider: 'openai-compatible'
+      , baseURL: stub.url
+      , maxTokens: 2048
+      }
+    , schema: Zod.array(Zod.string())
+    });
+
+    let requests = stub.requests.length
+      , data = await prompt.call({ count: 1, things: 'ice cream flavors' }, 3, 10);
+
+    assert.deepStrictEqual(data.response, ['vanilla'], 'Should succeed after the 429');
+    assert.strictEqual(stub.requests.length - requests, 2, 'Should retry once');
+
+    stub.reply = () => ({ content: '["vanilla"]', headers: { 'x-ratelimit-limit-requests': '42' } });
+    await prompt.call({ count: 1, things: 'ice cream flavors' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(prompt.model.rateLimiter.maxRequestsPerMinute, 42, 'Should read limits from successful responses');
+
+    stub.reply = () => ({ status: 400, body: { error: { message: 'Bad request' } } });
+    requests = stub.requests.length;
+
+    await assert.rejects(prompt.call({ count: 1, things: 'ice cream flavors' }, 3, 10));
+    assert.strictEqual(stub.requests.length - requests, 1, 'Should not retry a 400');
+  });
+
+});
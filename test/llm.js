@@ -1,4 +1,5 @@
 require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
 
 const Path = require('path')
     , FS = require('fs')
@@ -16,14 +17,24 @@ const {
 describe('LLM tests', function() {
   this.timeout(0);
 
+  //replays the committed cassette and never reaches the network; re-record it against the API with
+  //LLMADE_REPLAY_MODE=record npx mocha test/llm.js
+  const modelSettings = {
+    replay: {
+      cassette: Path.join(__dirname, './cassettes/llm.json')
+    , mode: process.env.LLMADE_REPLAY_MODE || 'strict'
+    }
+  };
+
   it('returns JSON from prompt', async function() {
     let count = 5,
         things = 'ice cream flavors',
-        schema = Zod.array(Zod.string());
+        schema = Zod.array(Zod.string()).length(count);
 
     const prompt = new Prompt({
       messages: 'Return a list of {count} {things}'
     , model: 'gpt-3.5-turbo'
+    , modelSettings
     , schema
     });
 
@@ -50,6 +61,7 @@ describe('LLM tests', function() {
         'Return a list of {count} <%= things %>'
       ]
     , model: 'gpt-3.5-turbo'
+    , modelSettings
     , schema
     });
 
@@ -101,6 +113,7 @@ describe('LLM tests', function() {
       instructions: 'summarize this speech into 10 words that give the main idea',
       schema,
       model,
+      modelSettings,
     });
 
     let data = await prompt.call(text);
@@ -0,0 +1,123 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Structured output tests', function() {
+  this.timeout(0);
+
+  let stub
+    , schema = Zod.array(Zod.string());
+
+  const prompt = (modelSettings, structuredOutput, promptSchema=schema) => new Prompt({
+    messages: 'Return a list of {count} {things}'
+  , model: 'local-model'
+  , modelSettings: _.extend({
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , maxTokens: 2048
+    }, modelSettings)
+  , schema: promptSchema
+  , structuredOutput
+  });
+
+  before(async function() {
+    stub = await createStub();
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('uses function calling when the model supports it', async function() {
+    stub.reply = () => ({
+      functionCall: { name: 'response', arguments: '{"response": ["vanilla", "mint"]}' }
+    });
+
+    let data = await prompt({ functionCalling: true }).call({ count: 2, things: 'ice cream flavors' });
+
+    let { body } = _.last(stub.requests);
+    assert.strictEqual(body.function_call.name, 'response', 'Should force the response function');
+    assert.deepStrictEqual(body.functions[0].parameters.properties.response, { type: 'array', items: { type: 'string' } }, 'Should send the schema as function parameters');
+    assert.deepStrictEqual(data.response, ['vanilla', 'mint'], 'Should parse the function arguments');
+    assert.strictEqual(data.structuredOutput, 'functions', 'Should report the mode');
+    assert.strictEqual(data.parserFixed, false, 'Should not need a parser fix');
+  });
+
+  it('uses JSON mode when the model supports it', async function() {
+    stub.reply = () => '{"response": ["vanilla", "mint"]}';
+
+    let data = await prompt({ jsonMode: true }).call({ count: 2, things: 'ice cream flavors' });
+
+    let { body } = _.last(stub.requests);
+    assert.deepStrictEqual(body.response_format, { type: 'json_object' }, 'Should request a JSON response');
+    assert(_.some(body.messages, m => m.content.match(/JSON schema/)), 'Should include the schema in the messages');
+    assert.deepStrictEqual(data.response, ['vanilla', 'mint'], 'Should unwrap the response');
+    assert.strictEqual(data.structuredOutput, 'json', 'Should report the mode');
+  });
+
+  it('falls back to format instructions', async function() {
+    stub.reply = () => '["vanilla", "mint"]';
+
+    let data = await prompt({ functionCalling: true }, 'instructions').call({ count: 2, things: 'ice cream flavors' });
+
+    assert(!_.last(stub.requests).body.functions, 'Should not send functions');
+    assert.deepStrictEqual(data.response, ['vanilla', 'mint'], 'Should parse the text response');
+    assert.strictEqual(data.structuredOutput, 'instructions', 'Should report the mode');
+  });
+
+  it('re-prompts with the Zod issues when a response breaks the schema', async function() {
+    stub.requests = [];
+    stub.reply = () => stub.requests.length === 1
+      ? { functionCall: { name: 'response', arguments: '{"response": ["vanilla", "mint", "pistachio"]}' } }
+      : { functionCall: { name: 'response', arguments: '{"response": ["vanilla", "mint"]}' } };
+
+    const data = await prompt({ functionCalling: true, tokenTxPrice: 0.001 }, 'auto', Zod.array(Zod.string()).length(2)).call({ count: 2, things: 'ice cream flavors', corrections: 2 });
+
+    const { body } = _.last(stub.requests)
+        , [previous, correction] = body.messages.slice(-2);
+
+    assert.strictEqual(stub.requests.length, 2, 'Should correct the response in one more turn');
+    assert.strictEqual(previous.role, 'assistant', 'Should send back the rejected response');
+    assert.match(correction.content, /- response: Array must contain exactly 2 element\(s\)/, 'Should list the issues by path');
+    assert.strictEqual(body.function_call.name, 'response', 'Should still force the response function');
+
+    assert.deepStrictEqual(data.response, ['vanilla', 'mint']);
+    assert.strictEqual(data.parserFixed, false);
+    assert.deepStrictEqual(_.map(data.attempts, attempt => _.map(attempt.errors, 'code')), [['too_big'], []], 'Should report the issues of each attempt');
+    assert(data.attempts.every(attempt => attempt.cost > 0), 'Should report the cost of each attempt');
+    assert.strictEqual(data.cost, _.sumBy(data.attempts, 'cost'), 'Should include the corrections in the cost');
+  });
+
+  it('stops correcting after the configured number of attempts', async function() {
+    stub.requests = [];
+    stub.reply = () => stub.requests.length < 3 ? '{"response": [1, 2]}' : '["vanilla", "mint", "pistachio"]';
+
+    const refined = prompt({ jsonMode: true }, 'auto', Zod.array(Zod.string()).refine(flavors => flavors.length > 2, 'List at least three flavors'));
+
+    //the last attempt still fails, so it goes to the fixing parser
+    const data = await refined.call({ count: 2, things: 'ice cream flavors', corrections: 1 });
+
+    assert.strictEqual(data.attempts.length, 2);
+    assert.deepStrictEqual(_.map(data.attempts[0].errors, 'path'), ['response.0', 'response.1'], 'Should report where each issue is');
+    assert.strictEqual(stub.requests.length, 3, 'Should make one correction, then fix the output');
+    assert(data.parserFixed);
+    assert.deepStrictEqual(data.response, ['vanilla', 'mint', 'pistachio']);
+
+    stub.requests = [];
+    stub.reply = () => stub.requests.length < 2 ? '{"response": [1, 2]}' : '["vanilla", "mint", "pistachio"]';
+
+    await refined.call({ count: 2, things: 'ice cream flavors' });
+    assert.strictEqual(stub.requests.length, 2, 'Should not correct unless asked to');
+  });
+
+});
@@ -0,0 +1,76 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  Model,
+  registerProvider,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Provider tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  before(async function() {
+    stub = await createStub(() => '["vanilla", "chocolate", "strawberry"]');
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('runs prompts against an OpenAI-compatible server', async function() {
+    let schema = Zod.array(Zod.string());
+
+    const prompt = new Prompt({
+      messages: 'Return a list of {count} {things}'
+    , model: 'local-model'
+    , modelSettings: {
+        provider: 'openai-compatible'
+      , baseURL: stub.url
+      , maxTokens: 2048
+      , tokenTxPrice: 0.001
+      , tokensRxPrice: 0.002
+      }
+    , schema
+    });
+
+    let data = await prompt.call({
+      count: 3,
+      things: 'ice cream flavors',
+    });
+
+    assert.deepStrictEqual(data.response, ['vanilla', 'chocolate', 'strawberry'], 'Should parse the stub response');
+    assert.strictEqual(_.last(stub.requests).body.model, 'local-model', 'Should send the configured model name');
+    assert(data.cost > 0, 'Cost should be greater than 0');
+  });
+
+  it('registers custom providers', async function() {
+    let created;
+    registerProvider('custom', (settings) => {
+      created = settings;
+      return {};
+    });
+
+    const model = new Model({
+      modelName: 'custom-model'
+    , provider: 'custom'
+    , baseURL: 'http://localhost:1234'
+    , temperature: 0
+    });
+
+    assert.strictEqual(model.provider, 'custom', 'Should record the provider');
+    assert.strictEqual(created.modelName, 'custom-model', 'Should pass the model name to the provider');
+    assert.strictEqual(created.baseURL, 'http://localhost:1234', 'Should pass the base URL to the provider');
+    assert.strictEqual(model.calculateCost(100, 100), 0, 'Unpriced models should cost nothing');
+  });
+
+});
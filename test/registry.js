@@ -0,0 +1,144 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const Path = require('path')
+    , FS = require('fs')
+    , OS = require('os')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  AudioTranscriber,
+  Embedder,
+  ModelRegistry,
+  models,
+  registry,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Model registry tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  const entry = (settings={}) => Object.assign({
+    modelName: 'registry-model'
+  , provider: 'openai-compatible'
+  , baseURL: stub.url
+  , maxTokens: 2048
+  , tokenTxPrice: 0.001
+  , tokensRxPrice: 0.002
+  }, settings);
+
+  before(async function() {
+    stub = await createStub(() => '["vanilla", "chocolate"]');
+  });
+
+  after(async function() {
+    ['registry-alias', 'registry-model', 'file-alias', 'file-model'].forEach(name => registry.remove(name));
+    await stub.close();
+  });
+
+  it('loads the bundled settings.json', function() {
+    assert(registry.has('gpt-4') && models['gpt-4'], 'Should register the bundled chat models');
+    assert.strictEqual(registry.get('whisper').type, 'transcription', 'Should register transcription models');
+    assert(!models.whisper, 'Should only build chat models');
+  });
+
+  it('validates entries', function() {
+    const check = new ModelRegistry();
+
+    assert.throws(() => check.register(entry({ maxTokens: undefined })), /maxTokens: Required for chat models/);
+    assert.throws(() => check.register(entry({ tokenTxPrice: -1 })), /tokenTxPrice/);
+    assert.throws(() => check.register(entry({ tokensTxPrice: 0.001 })), /tokensTxPrice: Unknown price/);
+    assert.throws(() => check.register(entry({ maxRequestsPerMinute: 0 })), /maxRequestsPerMinute/);
+    assert.throws(() => check.register(entry({ baseURL: 'not a url' })), /baseURL/);
+
+    check.register(entry({ temperature: 0.2 }));
+    assert.strictEqual(check.get('registry-model').temperature, 0.2, 'Should keep provider settings');
+    assert.throws(() => check.register(entry()), /already registered/);
+  });
+
+  it('registers and overrides models at runtime', async function() {
+    registry.register(entry());
+
+    const prompt = new Prompt({ messages: 'Return a list of {count} {things}', model: 'registry-model', schema: Zod.array(Zod.string()) });
+    const data = await prompt.call({ count: 2, things: 'ice cream flavors' });
+
+    assert.deepStrictEqual(data.response, ['vanilla', 'chocolate'], 'Should call the registered model');
+    assert(data.cost > 0, 'Should price calls with the registered prices');
+
+    const rateLimiter = models['registry-model'].rateLimiter;
+    registry.override('registry-model', { tokenTxPrice: 0.01, maxRequestsPerMinute: 100 });
+
+    assert.strictEqual(models['registry-model'].tokenTxPrice, 0.01, 'Should rebuild the model with the new price');
+    assert.strictEqual(models['registry-model'].tokensRxPrice, 0.002, 'Should keep the settings it did not override');
+    assert.strictEqual(models['registry-model'].rateLimiter, rateLimiter, 'Should keep the shared rate limiter');
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(rateLimiter.maxRequestsPerMinute, 100, 'Should resize the rate limiter to the new limit');
+    assert.strictEqual(await rateLimiter.requestLimiter.currentReservoir(), 80, 'Should resize the reservoir');
+  });
+
+  it('resizes the rate limiters of transcription and embedding models', async function() {
+    registry.register({ modelName: 'registry-whisper', type: 'transcription', maxRequestsPerMinute: 50, minutePrice: 0.006 });
+    registry.register({ modelName: 'registry-embeddings', type: 'embedding', provider: 'hash', maxRequestsPerMinute: 50 });
+
+    try {
+      const transcriber = new AudioTranscriber({ model: 'registry-whisper' })
+          , embedder = new Embedder({ model: 'registry-embeddings' });
+
+      registry.override('registry-whisper', { maxRequestsPerMinute: 10 });
+      registry.override('registry-embeddings', { maxRequestsPerMinute: 10 });
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.strictEqual(transcriber.rateLimiter.maxRequestsPerMinute, 10, 'Should resize the transcriber rate limiter');
+      assert.strictEqual(embedder.rateLimiter.maxRequestsPerMinute, 10, 'Should resize the embedder rate limiter');
+      assert.strictEqual(new Embedder({ model: 'registry-embeddings' }).rateLimiter, embedder.rateLimiter, 'Should share the rate limiter');
+    } finally {
+      registry.remove('registry-whisper');
+      registry.remove('registry-embeddings');
+    }
+  });
+
+  it('aliases share the rate limiter of their model', function() {
+    registry.alias('registry-alias', 'registry-model', { temperature: 0.7 });
+
+    assert.strictEqual(models['registry-alias'].rateLimiter, models['registry-model'].rateLimiter, 'Should share the rate limiter');
+    assert.strictEqual(registry.get('registry-alias').temperature, 0.7, 'Should apply the alias overrides');
+    assert.strictEqual(models['registry-alias'].tokenTxPrice, 0.01, 'Should inherit the model settings');
+
+    registry.override('registry-model', { tokenTxPrice: 0.02 });
+    assert.strictEqual(models['registry-alias'].tokenTxPrice, 0.02, 'Should follow changes to the model');
+
+    assert.throws(() => registry.alias('other-alias', 'registry-model', { maxTokensPerMinute: 10 }), /can't override the limits/);
+    assert.throws(() => registry.alias('other-alias', 'missing-model'), /Unknown model/);
+
+    assert.throws(() => registry.remove('registry-model'), /still aliased by registry-alias/, 'Should not leave the alias dangling');
+    assert(registry.has('registry-alias'), 'Should keep the model and alias');
+  });
+
+  it('loads a user config file', function() {
+    const path = Path.join(FS.mkdtempSync(Path.join(OS.tmpdir(), 'llmade-registry-')), 'models.json');
+
+    FS.writeFileSync(path, JSON.stringify({
+      models: [entry({ modelName: 'file-model' }), { modelName: 'gpt-4', tokenTxPrice: 0.00002 }]
+    , aliases: { 'file-alias': 'file-model' }
+    }));
+
+    const original = registry.get('gpt-4');
+    try {
+      registry.load(path);
+
+      assert(models['file-model'] && models['file-alias'], 'Should register the models and aliases in the file');
+      assert.strictEqual(models['gpt-4'].tokenTxPrice, 0.00002, 'Should override registered models');
+      assert.strictEqual(models['gpt-4'].maxTokens, original.maxTokens, 'Should keep the bundled settings it did not override');
+    } finally {
+      registry.register(original, { override: true });
+      FS.rmSync(Path.dirname(path), { recursive: true, force: true });
+    }
+  });
+});
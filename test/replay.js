@@ -0,0 +1,102 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const Path = require('path')
+    , FS = require('fs')
+    , OS = require('os')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  CassetteMissError,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Replay tests', function() {
+  this.timeout(0);
+
+  let stub
+    , cassette = Path.join(FS.mkdtempSync(Path.join(OS.tmpdir(), 'llmade-')), 'cassette.json')
+    , schema = Zod.array(Zod.string());
+
+  const prompt = (mode) => new Prompt({
+    messages: 'Return a list of {count} {things}'
+  , model: 'local-model'
+  , modelSettings: {
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , maxTokens: 2048
+    , maxRetries: 0
+    , replay: { cassette, mode }
+    }
+  , schema
+  });
+
+  before(async function() {
+    let replies = [
+      'Sure! vanilla, chocolate'
+    , '["vanilla", "chocolate"]'
+    ];
+    stub = await createStub(() => replies.shift());
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('records prompt and parser-fix calls to a cassette', async function() {
+    let data = await prompt('replay').call({ count: 2, things: 'ice cream flavors' });
+
+    assert.deepStrictEqual(data.response, ['vanilla', 'chocolate'], 'Should parse the fixed response');
+    assert.strictEqual(stub.requests.length, 2, 'Should call the server for the prompt and the parser fix');
+
+    let { interactions } = JSON.parse(FS.readFileSync(cassette).toString());
+    assert.strictEqual(Object.keys(interactions).length, 2, 'Should record both requests');
+  });
+
+  it('replays recorded calls without the network', async function() {
+    let data = await prompt('strict').call({ count: 2, things: 'ice cream flavors' });
+
+    assert.deepStrictEqual(data.response, ['vanilla', 'chocolate'], 'Should replay the recorded response');
+    assert.strictEqual(stub.requests.length, 2, 'Should not call the server again');
+  });
+
+  it('fails on unrecorded requests in strict mode', async function() {
+    await assert.rejects(
+      prompt('strict').call({ count: 3, things: 'ice cream flavors' }, 1)
+    , CassetteMissError
+    , 'Should reject unrecorded requests'
+    );
+  });
+
+  it('leaves credentials out of cassettes', async function() {
+    const secretCassette = Path.join(Path.dirname(cassette), 'secrets.json');
+
+    const keyed = (mode, key) => new Prompt({
+      messages: 'Return a list of {count} {things}'
+    , model: 'local-model'
+    , modelSettings: {
+        provider: 'openai-compatible'
+      , maxTokens: 2048
+      , maxRetries: 0
+      , openAIApiKey: key
+      , configuration: { basePath: stub.url, baseOptions: { headers: { Authorization: `Bearer ${key}-2` } } }
+      , replay: { cassette: secretCassette, mode }
+      }
+    , schema
+    });
+
+    stub.reply = () => '["mint"]';
+    await keyed('record', 'sk-secret').call({ count: 1, things: 'ice cream flavors' });
+
+    const recorded = FS.readFileSync(secretCassette).toString();
+    assert(!recorded.includes('sk-secret'), 'Should not record the key or headers');
+
+    const data = await keyed('strict', 'sk-rotated').call({ count: 1, things: 'ice cream flavors' });
+    assert.deepStrictEqual(data.response, ['mint'], 'Should replay after the key changes');
+  });
+
+});
@@ -0,0 +1,175 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , Path = require('path')
+    , FS = require('fs')
+    , OS = require('os')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  QueryDocumentPrompt,
+  Embedder,
+  VectorIndex,
+  hashEmbedding,
+  registry,
+  UsageLedger,
+  MemorySink,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Retrieval tests', function() {
+  this.timeout(0);
+
+  let stub
+    , directory;
+
+  const manual = [
+    '# Kettle manual'
+  , '## Filling\nFill the kettle through the lid with fresh cold water, between the minimum and maximum marks.'
+  , '## Descaling\nIn hard water areas, descale the kettle every month with a mixture of vinegar and water.'
+  , '## Warranty\nThe warranty lasts two years from the date of purchase and covers the heating element.'
+  , '## Safety\nNever immerse the base in water and keep the cord away from children.'
+  ].join('\n\n');
+
+  const prompt = (settings={}) => new QueryDocumentPrompt(_.extend({
+    model: 'retrieval-model'
+  , modelSettings: {
+      provider: 'openai-compatible'
+    , baseURL: stub.url
+    , maxTokens: 2048
+    , tokenTxPrice: 0.001
+    }
+  , schema: Zod.string()
+  , documentDescription: 'a kettle manual'
+  , embeddings: 'hash-embeddings'
+  , index: Path.join(directory, 'index.json')
+  , chunkSize: 30
+  , chunkOverlap: 0
+  , language: 'markdown'
+  , topK: 1
+  }, settings));
+
+  before(async function() {
+    stub = await createStub(() => '"Two years"');
+    directory = FS.mkdtempSync(Path.join(OS.tmpdir(), 'llmade-retrieval-'));
+
+    registry.register({ modelName: 'hash-embeddings', type: 'embedding', provider: 'hash', dimensions: 128, tokenTxPrice: 0.0001 });
+  });
+
+  after(async function() {
+    registry.remove('hash-embeddings');
+    FS.rmSync(directory, { recursive: true, force: true });
+    await stub.close();
+  });
+
+  beforeEach(function() {
+    stub.requests = [];
+  });
+
+  it('embeds text deterministically', function() {
+    const warranty = hashEmbedding('how long does the warranty last')
+        , index = new VectorIndex();
+
+    assert.deepStrictEqual(warranty, hashEmbedding('how long does the warranty last'), 'Should give the same text the same vector');
+    assert.strictEqual(warranty.length, 256);
+
+    index.add('warranty', 'The warranty lasts two years', hashEmbedding('The warranty lasts two years'));
+    index.add('safety', 'Keep the cord away from children', hashEmbedding('Keep the cord away from children'));
+
+    const [best, other] = index.search(warranty, { topK: 2 });
+    assert.strictEqual(best.key, 'warranty', 'Should rank texts sharing words first');
+    assert(best.score > other.score);
+    assert.deepStrictEqual(_.map(index.search(warranty, { keys: ['safety'] }), 'key'), ['safety'], 'Should only search the given keys');
+  });
+
+  it('answers from the excerpts closest to the query', async function() {
+    const data = await prompt().call(manual, { query: 'How long does the warranty last?' });
+
+    assert.strictEqual(data.response, 'Two years');
+    assert.strictEqual(stub.requests.length, 1, 'Should make one model call');
+
+    const content = _.last(stub.requests[0].body.messages).content;
+    assert.match(content, /The warranty lasts two years/, 'Should send the closest excerpt');
+    assert.doesNotMatch(content, /vinegar|children/, 'Should leave out the other excerpts');
+    assert.match(content, /Query: How long does the warranty last\?/);
+
+    assert.strictEqual(data.excerpts.length, 1);
+    assert.deepStrictEqual(data.excerpts[0].excerptHeadings, ['Kettle manual', 'Warranty'], 'Should keep where the excerpt is');
+    assert(data.embedding.embedded > 1 && data.embedding.reused === 0 && data.embedding.cost > 0);
+    assert(data.cost > data.embedding.cost, 'Should add the embedding cost');
+  });
+
+  it('reuses the index across runs', async function() {
+    const path = Path.join(directory, 'reused.json');
+
+    await prompt({ index: path }).call(manual, { query: 'How long does the warranty last?' });
+    assert(FS.existsSync(path) && !FS.readdirSync(directory).some(file => file.endsWith('.tmp')), 'Should save the index');
+
+    const ledger = new UsageLedger()
+        , memory = ledger.addSink(new MemorySink())
+        , embeddings = new Embedder({ model: 'hash-embeddings', ledger });
+
+    const data = await prompt({ embeddings, index: path, topK: 2 }).call(manual, { query: 'How do I descale it with vinegar?' });
+
+    assert.strictEqual(data.embedding.embedded, 0, 'Should not embed the excerpts again');
+    assert(data.embedding.reused > 1);
+    assert.deepStrictEqual(_.map(memory.entries, 'model'), ['hash-embeddings'], 'Should only embed the query');
+    assert(_.some(data.excerpts, excerpt => excerpt.excerpt.includes('vinegar')));
+    assert(data.excerpts[0].excerptStart < data.excerpts[1].excerptStart, 'Should send the excerpts in document order');
+
+    const everything = await prompt({ index: path }).call(null, { query: 'Is the heating element covered by the warranty?' });
+    assert.match(everything.excerpts[0].excerpt, /warranty/, 'Should search the whole index without text');
+  });
+
+  it('only searches the entries of its own embedder', async function() {
+    const index = new VectorIndex();
+    registry.register({ modelName: 'small-hash-embeddings', type: 'embedding', provider: 'hash', dimensions: 16 });
+
+    try {
+      await prompt({ index, embeddings: 'small-hash-embeddings' }).call(manual, { query: 'How do I fill it?' });
+      await prompt({ index }).call(manual, { query: 'How do I fill it?' });
+
+      const data = await prompt({ index, topK: 20 }).call(null, { query: 'Is the heating element covered by the warranty?' })
+          , own = _.filter(index.entries, { embedder: new Embedder({ model: 'hash-embeddings' }).id });
+
+      assert(own.length > 0 && own.length < _.size(index.entries), 'Should share the index');
+      assert.strictEqual(data.excerpts.length, own.length, 'Should skip the entries of other embedders');
+      assert(data.excerpts.every(excerpt => _.isFinite(excerpt.score)), 'Should score every excerpt');
+      assert.match(data.excerpts[0].excerpt, /warranty/);
+    } finally {
+      registry.remove('small-hash-embeddings');
+    }
+  });
+
+  it('estimates a query without calling the models', async function() {
+    const estimate = await prompt({ index: undefined }).call(manual, { query: 'How do I fill it?', dryrun: true });
+
+    assert.strictEqual(stub.requests.length, 0);
+    assert(estimate.embedding.tokens > 0 && estimate.cost > estimate.embedding.cost, 'Should estimate embedding and prompt costs');
+  });
+
+  it('embeds in batches through OpenAI-compatible servers', async function() {
+    const ledger = new UsageLedger()
+        , memory = ledger.addSink(new MemorySink());
+
+    const embedder = new Embedder({
+      model: 'stub-embeddings'
+    , modelSettings: { provider: 'openai-compatible', baseURL: stub.url, tokenTxPrice: 0.001 }
+    , batchSize: 2
+    , ledger
+    });
+
+    const { vectors, tokens, cost } = await embedder.embed(['one', 'three', 'five'], { tag: 'index' });
+
+    assert.deepStrictEqual(vectors, [[3, 1], [5, 1], [4, 1]]);
+    assert.deepStrictEqual(stub.requests.map(request => request.body.input), [['one', 'three'], ['five']], 'Should send batches');
+    assert.strictEqual(stub.requests[0].body.model, 'stub-embeddings');
+    assert.strictEqual(tokens, 30, 'Should use the reported token counts');
+    assert.strictEqual(cost, 0.03);
+    assert.deepStrictEqual(_.map(memory.entries, 'tag'), ['index', 'index'], 'Should record every batch');
+  });
+});
@@ -0,0 +1,124 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  registry,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Routing tests', function() {
+  this.timeout(0);
+
+  let stub
+    , failing;
+
+  const names = ['route-small', 'route-large', 'route-busy'];
+
+  const prompt = (routing) => new Prompt({
+    messages: 'Return a list of {count} {things}'
+  , schema: Zod.array(Zod.string())
+  , routing
+  });
+
+  before(async function() {
+    stub = await createStub((body) => failing[body.model] ? failing[body.model]() : '["vanilla"]');
+
+    registry.register({ modelName: 'route-small', provider: 'openai-compatible', baseURL: stub.url, maxTokens: 1000, tokenTxPrice: 0.001, tokensRxPrice: 0.001 });
+    registry.register({ modelName: 'route-large', provider: 'openai-compatible', baseURL: stub.url, maxTokens: 4096, tokenTxPrice: 0.01, tokensRxPrice: 0.01 });
+    registry.register({ modelName: 'route-busy', provider: 'openai-compatible', baseURL: stub.url, maxTokens: 4096, tokenTxPrice: 0.0001 });
+  });
+
+  after(async function() {
+    names.forEach(name => registry.remove(name));
+    await stub.close();
+  });
+
+  beforeEach(function() {
+    stub.requests = [];
+    failing = {};
+  });
+
+  it('rejects models that are not registered', function() {
+    assert.throws(() => prompt(['route-small', 'route-missing']), /Unknown model: route-missing/);
+    assert.throws(() => prompt({ models: ['route-typo'] }), /Unknown model: route-typo/);
+  });
+
+  it('sends each call to the cheapest model that fits', async function() {
+    const routed = prompt({ models: ['route-large', 'route-small'], responseTokens: 100 });
+
+    let data = await routed.call({ count: 1, things: 'ice cream flavors' });
+    assert.strictEqual(data.model, 'route-small', 'Should pick the cheaper model');
+    assert.deepStrictEqual(data.fallbacks, []);
+    assert(data.cost > 0);
+
+    data = await routed.call({ count: 1, things: _.repeat('very cold ', 600) + 'ice cream flavors' });
+    assert.strictEqual(data.model, 'route-large', 'Should skip models the prompt does not fit');
+    assert.deepStrictEqual(_.map(stub.requests, 'body.model'), ['route-small', 'route-large']);
+
+    await assert.rejects(prompt(['route-small']).call({ count: 1, things: _.repeat('very cold ', 1000) }), /exceeds maxTokens of every model/);
+  });
+
+  it('falls back after failures', async function() {
+    failing['route-small'] = () => ({ status: 500, body: { error: { message: 'overloaded' } } });
+
+    const data = await prompt(['route-small', 'route-large']).call({ count: 1, things: 'ice cream flavors' }, 2, 10);
+
+    assert.strictEqual(data.model, 'route-large');
+    assert.deepStrictEqual(_.map(data.fallbacks, 'model'), ['route-small']);
+    assert.deepStrictEqual(_.map(stub.requests, 'body.model'), ['route-small', 'route-small', 'route-large'], 'Should use up the retries first');
+
+    failing['route-small'] = () => ({ status: 400, body: { error: { message: 'This model\'s maximum context length is 1000 tokens' } } });
+    stub.requests = [];
+
+    assert.strictEqual((await prompt(['route-small', 'route-large']).call({ count: 1, things: 'ice cream flavors' })).model, 'route-large', 'Should fall back on context overflows');
+
+    failing['route-small'] = () => ({ status: 401, body: { error: { message: 'Invalid key' } } });
+    await assert.rejects(prompt(['route-small', 'route-large']).call({ count: 1, things: 'ice cream flavors' }), (error) => error.response?.status === 401, 'Should throw other client errors');
+  });
+
+  it('moves on from long rate limit pauses', async function() {
+    failing['route-busy'] = () => ({ status: 429, headers: { 'retry-after': '60' }, body: { error: { message: 'Rate limited' } } });
+
+    const start = Date.now()
+        , data = await prompt({ models: ['route-busy', 'route-large'], maxPause: 1000 }).call({ count: 1, things: 'ice cream flavors' });
+
+    assert.strictEqual(data.model, 'route-large');
+    assert(Date.now() - start < 5000, 'Should not wait for the rate limit');
+    assert.deepStrictEqual(_.map(stub.requests, 'body.model'), ['route-busy', 'route-large']);
+
+    let limited = 0;
+    failing['route-small'] = () => limited++ ? '["vanilla"]' : { status: 429, headers: { 'retry-after': '1' }, body: { error: { message: 'Rate limited' } } };
+
+    const only = await prompt({ models: ['route-small'], maxPause: 100 }).call({ count: 1, things: 'ice cream flavors' }, 2, 10);
+    assert.strictEqual(only.model, 'route-small', 'Should wait when there is no other model');
+    assert.strictEqual(limited, 2);
+  });
+
+  it('counts what failed candidates spent', async function() {
+    failing['route-small'] = () => 'not a list';
+
+    const data = await prompt(['route-small', 'route-large']).call({ count: 1, things: 'ice cream flavors' }, 2, 10)
+        , direct = await prompt(['route-large']).call({ count: 1, things: 'ice cream flavors' })
+        , [fallback] = data.fallbacks;
+
+    assert.strictEqual(fallback.model, 'route-small');
+    assert(fallback.tokensSent > 0 && fallback.tokensReceived > 0 && fallback.cost > 0, 'Should report what the failed model spent');
+    assert.strictEqual(data.tokensSent, fallback.tokensSent + direct.tokensSent);
+    assert.strictEqual(data.tokensReceived, fallback.tokensReceived + direct.tokensReceived);
+    assert(Math.abs(data.cost - fallback.cost - direct.cost) < 1e-9, 'Should include it in the totals');
+
+    failing['route-large'] = () => 'not a list either';
+
+    await assert.rejects(prompt(['route-small', 'route-large']).call({ count: 1, things: 'ice cream flavors' }, 2, 10), (error) => {
+      assert(error.result.cost > error.fallbacks[0].cost, 'Should add the fallbacks to the usage of the last candidate');
+      return true;
+    });
+  });
+});
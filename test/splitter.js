@@ -0,0 +1,129 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Model,
+  TextSplitter,
+} = require('../lib/llm.js');
+
+const model = new Model({
+  modelName: 'local-model'
+, provider: 'openai-compatible'
+, baseURL: 'http://127.0.0.1:9/v1'
+, maxTokens: 2048
+});
+
+const markdown = `# Guide
+
+Intro paragraph about the guide. ${_.repeat('More intro text. ', 10)}
+
+## Install
+
+${_.repeat('Run the installer and follow the prompts. ', 10)}
+
+\`\`\`sh
+# not a heading
+npm install llmade
+\`\`\`
+
+## Usage
+
+### Prompts
+
+${_.repeat('Create a prompt with messages and a schema. ', 10)}
+
+# Reference
+
+${_.repeat('Every option is listed here. ', 10)}
+`;
+
+const code = `function first() {
+  ${_.repeat('console.log("first"); ', 8)}
+}
+
+function second() {
+  ${_.repeat('console.log("second"); ', 8)}
+}
+
+class Third {
+  run() {
+    ${_.repeat('console.log("third"); ', 8)}
+  }
+}
+`;
+
+describe('Structure-aware splitting tests', function() {
+  this.timeout(0);
+
+  it('splits markdown on headings with heading paths and positions', async function() {
+    const splitter = new TextSplitter({ chunkSize: 80, model, language: 'markdown' })
+        , { excerpts } = await splitter.splitText(markdown);
+
+    assert(excerpts.length > 2, 'Should split the document');
+    excerpts.forEach(e => {
+      assert(e.excerptTokenLength <= 80, 'Should stay within the token budget');
+      assert.strictEqual(markdown.slice(e.excerptStart, e.excerptEnd), e.excerpt, 'Should point at the excerpt in the source');
+      assert.strictEqual(e.excerptStartLine, markdown.slice(0, e.excerptStart).split('\n').length, 'Should report the first line');
+      assert.strictEqual(e.excerptEndLine, e.excerptStartLine + e.excerpt.split('\n').length - 1, 'Should report the last line');
+    });
+
+    const prompts = excerpts.find(e => e.excerpt.includes('Create a prompt'));
+    assert.deepStrictEqual(prompts.excerptHeadings, ['Guide', 'Usage', 'Prompts'], 'Should nest headings by level');
+
+    const install = excerpts.find(e => e.excerpt.includes('npm install'));
+    assert.deepStrictEqual(install.excerptHeadings, ['Guide', 'Install'], 'Should ignore headings in code blocks');
+
+    const reference = excerpts.find(e => e.excerpt.includes('Every option'));
+    assert.deepStrictEqual(reference.excerptHeadings, ['Reference'], 'Should reset the path at a higher heading');
+  });
+
+  it('splits code on definitions', async function() {
+    const splitter = new TextSplitter({ chunkSize: 60, model, language: 'js' })
+        , { excerpts } = await splitter.splitText(code);
+
+    assert(excerpts.some(e => e.excerpt.startsWith('function second')), 'Should start excerpts at definitions');
+    assert(excerpts.some(e => e.excerpt.startsWith('class Third')), 'Should start excerpts at classes');
+    assert(excerpts.every(e => e.excerptHeadings.length === 0), 'Should not report headings for code');
+  });
+
+  it('reports html heading paths', async function() {
+    const html = `<h1>Report</h1><p>${_.repeat('Summary text. ', 20)}</p><h2>Results <em>2023</em></h2><p>${_.repeat('Results text. ', 20)}</p>`
+        , splitter = new TextSplitter({ chunkSize: 60, model, language: 'html' })
+        , { excerpts } = await splitter.splitText(html);
+
+    const results = _.last(excerpts);
+    assert.deepStrictEqual(results.excerptHeadings, ['Report', 'Results 2023'], 'Should strip tags from html headings');
+  });
+
+  it('locates excerpts cut inside multibyte characters', async function() {
+    const text = _.repeat('東京の天気は晴れ 🌤️ です。', 6)
+        , { excerpts } = await new TextSplitter({ chunkSize: 7, chunkOverlap: 2, model }).splitText(text);
+
+    assert(excerpts.some(e => e.excerpt.includes('\uFFFD')), 'Should cut some tokens inside characters');
+    excerpts.forEach((e, i) => {
+      const source = text.slice(e.excerptStart, e.excerptEnd);
+
+      assert(source.includes(e.excerpt.replace(/\uFFFD/g, '')), 'Should point at the excerpt in the source');
+      assert(source.length <= e.excerpt.length + 1, 'Should only add the characters that were cut');
+      if (i) assert(e.excerptStart > excerpts[i - 1].excerptStart, 'Should locate excerpts in order');
+    });
+  });
+
+  it('locates repeated text after the previous excerpt', async function() {
+    const text = `Intro.\n\n\n\n${_.repeat('word ', 40)}`
+        , { excerpts } = await new TextSplitter({ chunkSize: 8, model, language: 'text' }).splitText(text);
+
+    excerpts.forEach((e, i) => {
+      assert.strictEqual(text.slice(e.excerptStart, e.excerptEnd), e.excerpt, 'Should point at the excerpt in the source');
+      if (i) assert(e.excerptStart >= excerpts[i - 1].excerptEnd, 'Should not overlap excerpts split without overlap');
+    });
+  });
+
+  it('rejects unsupported languages', function() {
+    assert.throws(() => new TextSplitter({ chunkSize: 60, model, language: 'cobol' }), /Unsupported language/);
+  });
+});
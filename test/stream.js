@@ -0,0 +1,100 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  UsageLedger,
+  parsePartialJSON,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Streaming tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  before(async function() {
+    stub = await createStub(() => '```json\n{"name": "Hamlet", "lines": ["To be", "or not to be"]}\n```');
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  it('parses partial JSON', function() {
+    assert.deepStrictEqual(parsePartialJSON('{"a": [1, 2'), { a: [1, 2] });
+    assert.deepStrictEqual(parsePartialJSON('Here it is: {"a": "hel'), { a: 'hel' });
+    assert.deepStrictEqual(parsePartialJSON('{"a": 1, "b'), { a: 1 });
+    assert.strictEqual(parsePartialJSON('no json yet'), undefined);
+  });
+
+  it('streams deltas with partial objects and a final response', async function() {
+    let schema = Zod.object({
+      name: Zod.string()
+    , lines: Zod.array(Zod.string()).length(2)
+    });
+
+    const prompt = new Prompt({
+      messages: 'Quote {character}'
+    , model: 'local-model'
+    , modelSettings: {
+        provider: 'openai-compatible'
+      , baseURL: stub.url
+      , maxTokens: 2048
+      , tokenTxPrice: 0.001
+      }
+    , schema
+    });
+
+    let events = [];
+    for await (const event of prompt.stream({ character: 'Hamlet' })) events.push(event);
+
+    let deltas = _.filter(events, { type: 'delta' })
+      , done = _.last(events);
+
+    assert(deltas.length > 1, 'Should stream several deltas');
+    assert(_.some(deltas, d => d.partial?.name && d.partial.lines?.length === 1), 'Should expose partially filled objects');
+    assert.strictEqual(done.type, 'done', 'Should end with a done event');
+    assert.deepStrictEqual(done.response, { name: 'Hamlet', lines: ['To be', 'or not to be'] }, 'Should validate the final response');
+    assert(done.cost > 0, 'Cost should be greater than 0');
+    assert(_.last(stub.requests).body.stream, 'Should request a streamed completion');
+  });
+
+  it('aborts the request and records the tokens so far when the loop stops early', async function() {
+    const slow = await createStub(() => ({ chunks: _.times(50, i => `word${i} `), interval: 20 }))
+        , ledger = new UsageLedger();
+
+    const prompt = new Prompt({
+      messages: 'Ramble'
+    , model: 'local-model'
+    , modelSettings: {
+        provider: 'openai-compatible'
+      , baseURL: slow.url
+      , maxTokens: 2048
+      , tokenTxPrice: 0.001
+      }
+    , schema: Zod.object({ text: Zod.string() })
+    , ledger
+    });
+
+    let deltas = 0;
+    for await (const event of prompt.stream()) {
+      if (event.type === 'delta' && ++deltas === 3) break;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await slow.close();
+
+    assert(slow.requests[0].aborted, 'Should abort the request');
+    assert.strictEqual(ledger.sinks[0].entries.length, 1, 'Should record the partial response');
+    assert(_.inRange(ledger.sinks[0].entries[0].tokensReceived, 1, 50), 'Should count only the tokens received');
+    assert(ledger.totals.cost > 0, 'Should bill the partial response');
+  });
+
+});
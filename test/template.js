@@ -0,0 +1,129 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , Path = require('path')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  PromptLibrary,
+  MissingVariablesError,
+  TemplateError,
+  compileTemplate,
+  loadPrompt,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Template and prompt library tests', function() {
+  this.timeout(0);
+
+  let stub;
+
+  const modelSettings = () => ({
+    provider: 'openai-compatible'
+  , baseURL: stub.url
+  , maxTokens: 2048
+  });
+
+  const schemas = {
+    flavors: Zod.array(Zod.string())
+  , sentiment: Zod.enum(['positive', 'negative'])
+  };
+
+  before(async function() {
+    stub = await createStub(() => '["vanilla", "chocolate"]');
+  });
+
+  after(async function() {
+    await stub.close();
+  });
+
+  beforeEach(function() {
+    stub.requests = [];
+  });
+
+  it('lists the variables a template reads', function() {
+    const template = compileTemplate(`Summarize {text} for <%= audience.join(', ') %>
+<% items.forEach(function(item) { %>- <%= item.title %><% }) %>
+<% if (typeof notes !== 'undefined') { %>Notes: {notes}<% } %> {{literal}} <%= Math.round(score) %>`);
+
+    assert.deepStrictEqual(template.required.sort(), ['audience', 'items', 'score', 'text'], 'Should list the required variables');
+    assert.deepStrictEqual(template.optional, ['notes'], 'Should treat variables behind typeof as optional');
+
+    assert.throws(() => compileTemplate('Return <% if (count { %> items'), TemplateError);
+    assert.throws(() => new Prompt({ messages: 'Return <% if (count { %> items', model: 'local-model', modelSettings: modelSettings() }), TemplateError);
+  });
+
+  it('rejects calls with missing variables before sending them', async function() {
+    const prompt = new Prompt({
+      messages: [
+        { role: 'system', content: 'Answer in a <%= tone %> tone.' }
+      , { role: 'user', content: 'Return a list of {count} {things}' }
+      ]
+    , model: 'local-model'
+    , modelSettings: modelSettings()
+    , schema: Zod.array(Zod.string())
+    , defaults: { tone: 'friendly' }
+    });
+
+    assert.deepStrictEqual(prompt.variables().required, ['count', 'things'], 'Should not require defaults or prompt fields');
+
+    await assert.rejects(prompt.call({ count: 2 }), (e) => e instanceof MissingVariablesError && _.isEqual(e.variables, ['things']));
+    assert.strictEqual(stub.requests.length, 0, 'Should not send the request');
+
+    const data = await prompt.call({ count: 2, things: 'ice cream flavors' });
+    assert.deepStrictEqual(data.response, ['vanilla', 'chocolate']);
+
+    const messages = _.map(stub.requests[0].body.messages, 'content').join('\n');
+    assert(messages.includes('friendly tone') && messages.includes('2 ice cream flavors'), 'Should render the defaults and data');
+    assert(!messages.includes('xxx'), 'Should not send placeholders');
+  });
+
+  it('throws render errors instead of sending the raw template', async function() {
+    const prompt = new Prompt({
+      messages: 'Summarize <%= items.map(item => item.title).join(", ") %>'
+    , model: 'local-model'
+    , modelSettings: modelSettings()
+    , schema: Zod.array(Zod.string())
+    });
+
+    await assert.rejects(prompt.call({ items: 'not a list' }), TemplateError);
+    assert.strictEqual(stub.requests.length, 0, 'Should not send the request');
+  });
+
+  it('loads markdown and YAML prompts with partials', async function() {
+    const library = new PromptLibrary(Path.join(__dirname, 'data/prompts'), { schemas, model: 'local-model' });
+
+    assert.deepStrictEqual(library.names().sort(), ['flavors', 'reviews/sentiment'], 'Should list prompts, not partials');
+
+    const flavors = library.get('flavors', { modelSettings: modelSettings() });
+    assert.strictEqual(flavors.schema, schemas.flavors, 'Should resolve the schema reference');
+    assert.deepStrictEqual(_.map(flavors.messageText, 'role'), ['system', 'user'], 'Should split messages on role headings');
+    assert.deepStrictEqual(flavors.variables(), { required: ['count'], optional: ['base'] });
+
+    const data = await flavors.call({ count: 2, base: 'oat milk' });
+    assert.deepStrictEqual(data.response, ['vanilla', 'chocolate']);
+
+    const [system, user] = stub.requests[0].body.messages;
+    assert(system.content.includes('Answer in a friendly tone. Never invent facts.'), 'Should include nested partials');
+    assert(user.content.includes('Return a list of 2 flavors made with oat milk.'), 'Should render the message');
+
+    stub.reply = () => '"positive"';
+    const sentiment = loadPrompt(Path.join(__dirname, 'data/prompts/reviews/sentiment.yaml'), { schemas, model: 'local-model', modelSettings: modelSettings() });
+    assert.strictEqual((await sentiment.call({ review: 'Great blender' })).response, 'positive');
+  });
+
+  it('validates a library', function() {
+    const library = new PromptLibrary(Path.join(__dirname, 'data/broken-prompts'), { schemas });
+
+    const errors = _.sortBy(library.validate(), 'name');
+    assert.deepStrictEqual(_.map(errors, 'name'), ['partial', 'schema', 'unclosed'], 'Should report every broken prompt');
+    assert.match(errors[0].error.message, /Unknown partial: nope/);
+    assert.match(errors[1].error.message, /Unknown schema missing/);
+    assert(errors[2].error instanceof TemplateError, 'Should compile the templates');
+  });
+});
@@ -0,0 +1,71 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const Path = require('path')
+    , FS = require('fs')
+    , assert = require('assert')
+;
+
+const {
+  Model,
+  TextSplitter,
+  Tokenizer,
+  models,
+  registerEncoding,
+  tokenizerFor,
+} = require('../lib/llm.js');
+
+const { encodingForModel } = require('../lib/tokenizer.js');
+
+describe('Tokenizer tests', function() {
+  this.timeout(0);
+
+  const text = FS.readFileSync(Path.join(__dirname, './data/shakespeare.txt')).toString();
+
+  it('maps every chat model in settings.json to a local encoding', async function() {
+    for (const model of Object.values(models)) {
+      assert.strictEqual(model.tokenizer.encoding, 'cl100k_base', `Should encode ${model.modelName} with cl100k_base`);
+    }
+
+    assert.strictEqual(await models['gpt-3.5-turbo'].countTokens('Hello world'), 2, 'Should count with the real encoding');
+    assert.strictEqual(encodingForModel('text-davinci-003'), 'p50k_base', 'Should match models by name');
+    assert.strictEqual(encodingForModel('llama-3-8b'), 'cl100k_base', 'Should approximate unknown models');
+
+    registerEncoding('my-gpt2', 'gpt2');
+    assert.strictEqual(tokenizerFor('my-gpt2').encoding, 'gpt2', 'Should use registered encodings');
+    assert.throws(() => registerEncoding('my-model', 'nope'), /Unknown encoding/);
+  });
+
+  it('memoizes counts in an LRU', function() {
+    const tokenizer = new Tokenizer({ maxEntries: 2 });
+
+    const count = tokenizer.count(text);
+    assert.strictEqual(tokenizer.count(text), count, 'Should return the same count');
+    assert.strictEqual(tokenizer.hits, 1, 'Should serve repeats from the memo');
+
+    tokenizer.count('a');
+    tokenizer.count(text);
+    tokenizer.count('b');
+    assert(tokenizer.memo.has(tokenizer.key(text)) && !tokenizer.memo.has(tokenizer.key('a')), 'Should evict the least recently used count');
+    assert(![...tokenizer.memo.keys()].includes(text), 'Should not keep the text itself');
+
+    assert.strictEqual(tokenizer.count('<|endoftext|>'), tokenizer.encode('<|endoftext|>').length, 'Should count special tokens as text');
+  });
+
+  it('counts in batches', async function() {
+    const model = new Model({ modelName: 'local-model', provider: 'openai-compatible', baseURL: 'http://127.0.0.1:9/v1', maxTokens: 2048 })
+        , lines = text.split('\n');
+
+    const counts = await model.countTokensMany(lines);
+    assert.deepStrictEqual(counts, lines.map(line => model.tokenizer.encode(line).length), 'Should count each text');
+  });
+
+  it('splits on tokens without fetching ranks', async function() {
+    const splitter = new TextSplitter({ chunkSize: 100, chunkOverlap: 10, model: 'gpt-4' })
+        , { excerpts } = await splitter.splitText(text);
+
+    assert(excerpts.length > 3, 'Should split the text');
+    assert(excerpts.every(e => e.excerptTokenLength <= 101), 'Should keep excerpts within chunkSize');
+    assert(excerpts[1].excerptStart < excerpts[0].excerptEnd, 'Should overlap excerpts');
+  });
+});
@@ -0,0 +1,145 @@
+require('dotenv').config();
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'stub';
+
+const _ = require('lodash')
+    , Path = require('path')
+    , FS = require('fs')
+    , OS = require('os')
+    , assert = require('assert')
+;
+
+const {
+  Zod,
+  Prompt,
+  DocumentPrompt,
+  MemoryExporter,
+  OTelFileExporter,
+  tracer,
+} = require('../lib/llm.js');
+
+const { createStub } = require('./helpers/stub.js');
+
+describe('Tracing tests', function() {
+  this.timeout(0);
+
+  let stub
+    , exporter
+    , events;
+
+  const modelSettings = () => ({
+    provider: 'openai-compatible'
+  , baseURL: stub.url
+  , maxTokens: 2048
+  , tokenTxPrice: 0.001
+  });
+
+  const listener = event => events.push(event);
+
+  before(async function() {
+    stub = await createStub();
+    tracer.on('event', listener);
+  });
+
+  after(async function() {
+    tracer.off('event', listener);
+    await stub.close();
+  });
+
+  beforeEach(function() {
+    exporter = tracer.addExporter(new MemoryExporter());
+    events = [];
+    stub.requests = [];
+  });
+
+  afterEach(function() {
+    _.pull(tracer.exporters, exporter);
+  });
+
+  it('traces retries, queueing and parser fixes of a prompt call', async function() {
+    stub.reply = () => {
+      if (stub.requests.length === 1) return { status: 500, body: { error: { message: 'overloaded' } } };
+      if (stub.requests.length === 2) return 'Sure! vanilla and chocolate';
+      return '["vanilla", "chocolate"]';
+    };
+
+    const prompt = new Prompt({
+      messages: 'Return a list of {count} {things}'
+    , model: 'trace-model'
+    , modelSettings: modelSettings()
+    , schema: Zod.array(Zod.string())
+    , structuredOutput: 'instructions'
+    });
+
+    const data = await prompt.call({ count: 2, things: 'ice cream flavors' }, 3, 10);
+    assert.deepStrictEqual(data.response, ['vanilla', 'chocolate']);
+
+    const names = _.map(events, 'name');
+    assert.deepStrictEqual(_.uniq(names), ['queue.wait', 'request.start', 'retry', 'parser.fixed', 'request.end'], 'Should emit every kind of event');
+
+    const retry = events.find(event => event.name === 'retry');
+    assert.strictEqual(retry.attributes['llmade.attempt'], 1);
+    assert.strictEqual(retry.attributes['http.response.status_code'], 500, 'Should give the reason for the retry');
+    assert.match(retry.attributes['llmade.error'], /500|overloaded/);
+
+    const spans = _.keyBy(exporter.spans, span => `${span.name}:${span.attributes['llmade.attempt'] || ''}`)
+        , root = spans['prompt.call:'];
+
+    assert(root && !root.parentSpanId, 'Should export the call as the root span');
+    assert.strictEqual(root.attributes['llmade.parser_fixed'], true);
+    assert.strictEqual(root.attributes['llmade.cost'], data.cost);
+
+    assert.strictEqual(spans['model.request:1'].status.code, 'error', 'Should mark the failed attempt');
+    assert.strictEqual(spans['model.request:2'].status.code, 'ok');
+    assert(exporter.spans.every(span => span.traceId === root.traceId), 'Should keep the call in one trace');
+    assert.strictEqual(spans['parser.fix:'].parentSpanId, spans['model.request:2'].spanId, 'Should nest the parser fix in its request');
+  });
+
+  it('exports a document run as one OpenTelemetry trace', async function() {
+    stub.reply = () => '"a summary"';
+
+    const path = Path.join(FS.mkdtempSync(Path.join(OS.tmpdir(), 'llmade-trace-')), 'trace.jsonl')
+        , file = tracer.addExporter(new OTelFileExporter(path));
+
+    try {
+      const prompt = new DocumentPrompt({
+        model: 'trace-model'
+      , modelSettings: modelSettings()
+      , responseTokenLength: 50
+      , documentDescription: 'a speech'
+      , instructions: 'Summarize the speech'
+      , strategy: 'map_reduce'
+      , schema: Zod.string()
+      });
+
+      await prompt.setTextSplitter({ chunkSize: 100 });
+      await prompt.call(FS.readFileSync(Path.join(__dirname, 'data/shakespeare.txt')).toString());
+    } finally {
+      _.pull(tracer.exporters, file);
+    }
+
+    const lines = file.read()
+        , [request] = lines;
+
+    FS.rmSync(Path.dirname(path), { recursive: true, force: true });
+    assert.strictEqual(lines.length, 1, 'Should write one line per trace');
+
+    const { resource, scopeSpans: [{ scope, spans }] } = request.resourceSpans[0];
+    assert.deepStrictEqual(resource.attributes, [{ key: 'service.name', value: { stringValue: 'llmade' } }]);
+    assert.strictEqual(scope.name, 'llmade');
+
+    const byId = _.keyBy(spans, 'spanId')
+        , run = spans.find(span => span.name === 'document.run')
+        , calls = spans.filter(span => span.name === 'prompt.call')
+        , excerpts = run.events.filter(event => event.name === 'excerpt.processed');
+
+    assert(!run.parentSpanId && spans.every(span => span.traceId === run.traceId), 'Should nest the run in one trace');
+    assert(calls.length > 2 && calls.every(call => call.parentSpanId === run.spanId), 'Should nest the map and reduce calls in the run');
+    assert(spans.filter(span => span.name === 'model.request').every(span => byId[span.parentSpanId].name === 'prompt.call' && span.kind === 3));
+
+    const attribute = (span, key) => span.attributes.find(a => a.key === key)?.value;
+    assert.deepStrictEqual(attribute(run, 'llmade.strategy'), { stringValue: 'map_reduce' });
+    assert.deepStrictEqual(attribute(run, 'llmade.excerpts'), { intValue: `${excerpts.length}` }, 'Should record an event per excerpt');
+    assert(/^\d{19}$/.test(run.startTimeUnixNano) && BigInt(run.endTimeUnixNano) > BigInt(run.startTimeUnixNano), 'Should use unix nanosecond times');
+    assert.deepStrictEqual(run.status, { code: 1 });
+  });
+});